@@ -0,0 +1,284 @@
+/**
+ * Burden Matrix Estimates
+ *
+ * Instant burden estimates from data/burden-matrix.json for homes that fall
+ * between its test points:
+ *
+ *   bilinear - blend of the 4 corners of the grid cell holding the home (default)
+ *   idw      - inverse-distance weighted blend of the 4 nearest test points
+ *   nearest  - value of the single closest test point
+ *
+ * Bilinear needs the regular grid written by generate-burden-matrix.js
+ * (metadata.gridSize and metadata.bounds); other matrices fall back to idw.
+ * Homes outside the grid are clamped to its edge.
+ *
+ * Matrix columns are the dated blocks of Tracks.csv ({block, start, end},
+ * CommuteEngine.getUniqueTrackBlocks), each computed over its own dates like
+ * the precise track result. Track estimates sum the track's dated blocks
+ * (CommuteEngine.getTrackBlocks), so a block spanning two columns is counted
+ * once. estimateAllTrackBurdens does this for every track at one home, to
+ * rank tracks instantly.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteBurdenMatrix`
+ * in the browser (after lib/commute-engine.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./commute-engine'));
+    } else {
+        root.CommuteBurdenMatrix = factory(root.CommuteEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteEngine) {
+    'use strict';
+
+    const INTERPOLATION_METHODS = ['bilinear', 'idw', 'nearest'];
+    const DEFAULT_METHOD = 'bilinear';
+    const IDW_NEIGHBORS = 4;
+    const IDW_POWER = 2;
+
+    /**
+     * Find the nearest test point to given coordinates
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} coords - {lat, lng}
+     * @returns {Object} - {index, testPoint, distance}
+     */
+    function findNearestTestPoint(matrix, coords) {
+        let minDistance = Infinity;
+        let nearestIndex = -1;
+
+        matrix.testPoints.forEach((point, i) => {
+            const distance = CommuteEngine.haversineDistance(coords, point);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearestIndex = i;
+            }
+        });
+
+        return {
+            index: nearestIndex,
+            testPoint: matrix.testPoints[nearestIndex],
+            distance: minDistance
+        };
+    }
+
+    // True when test points are the (gridSize + 1)² latitude-major grid over bounds
+    function hasRegularGrid(matrix) {
+        const meta = matrix.metadata || {};
+        return Boolean(meta.gridSize && meta.bounds) &&
+            matrix.testPoints.length === (meta.gridSize + 1) * (meta.gridSize + 1);
+    }
+
+    function bilinearWeights(matrix, coords) {
+        const { gridSize, bounds } = matrix.metadata;
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+        // Position in grid steps, clamped to the grid
+        const y = clamp((coords.lat - bounds.minLat) / (bounds.maxLat - bounds.minLat) * gridSize, 0, gridSize);
+        const x = clamp((coords.lng - bounds.minLng) / (bounds.maxLng - bounds.minLng) * gridSize, 0, gridSize);
+        const i = Math.min(Math.floor(y), gridSize - 1);
+        const j = Math.min(Math.floor(x), gridSize - 1);
+        const fy = y - i;
+        const fx = x - j;
+        const index = (row, col) => row * (gridSize + 1) + col;
+
+        return [
+            { index: index(i, j), weight: (1 - fy) * (1 - fx) },
+            { index: index(i, j + 1), weight: (1 - fy) * fx },
+            { index: index(i + 1, j), weight: fy * (1 - fx) },
+            { index: index(i + 1, j + 1), weight: fy * fx }
+        ].filter(w => w.weight > 0);
+    }
+
+    function idwWeights(matrix, coords) {
+        const neighbors = matrix.testPoints
+            .map((point, index) => ({ index, distance: CommuteEngine.haversineDistance(coords, point) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, IDW_NEIGHBORS);
+
+        // Sitting on a test point: use it as is
+        if (neighbors[0].distance < 1e-6) {
+            return [{ index: neighbors[0].index, weight: 1 }];
+        }
+
+        const raw = neighbors.map(n => ({ index: n.index, weight: 1 / Math.pow(n.distance, IDW_POWER) }));
+        const total = raw.reduce((sum, n) => sum + n.weight, 0);
+        return raw.map(n => ({ index: n.index, weight: n.weight / total }));
+    }
+
+    /**
+     * Test points and weights that make up the estimate at coords
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} coords - {lat, lng}
+     * @param {string} [method] - 'bilinear', 'idw' or 'nearest'
+     * @returns {Object} - {method, weights: [{index, weight}]} (method actually used)
+     */
+    function getInterpolationWeights(matrix, coords, method = DEFAULT_METHOD) {
+        if (!INTERPOLATION_METHODS.includes(method)) {
+            throw new Error(`Unknown interpolation method: ${method}`);
+        }
+        if (method === 'bilinear' && hasRegularGrid(matrix)) {
+            return { method, weights: bilinearWeights(matrix, coords) };
+        }
+        if (method === 'nearest') {
+            return { method, weights: [{ index: findNearestTestPoint(matrix, coords).index, weight: 1 }] };
+        }
+        return { method: 'idw', weights: idwWeights(matrix, coords) };
+    }
+
+    /**
+     * Interpolated burden of every rotation in the matrix
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} coords - {lat, lng}
+     * @param {Object} [options] - {method}
+     * @returns {Object} - {burdens: [hours per matrix.rotations entry], miles: [miles per entry] (null for
+     *          matrices without miles), method, distance, testPoint}
+     */
+    function estimateRotationBurdens(matrix, coords, options = {}) {
+        const { method, weights } = getInterpolationWeights(matrix, coords, options.method);
+        const nearest = findNearestTestPoint(matrix, coords);
+
+        const interpolate = rows => matrix.rotations.map((rotation, rotIdx) =>
+            weights.reduce((sum, w) => sum + rows[w.index][rotIdx] * w.weight, 0)
+        );
+        const burdens = interpolate(matrix.burdens);
+        const miles = matrix.miles ? interpolate(matrix.miles) : null;
+
+        return { burdens, miles, method, distance: nearest.distance, testPoint: nearest.testPoint };
+    }
+
+    /**
+     * Matrix column of a track block: the same block on the same dates
+     * (older matrices hold one column per block name)
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} trackBlock - {block, start, end} (CommuteEngine.getTrackBlocks)
+     * @returns {number} - Column index, or -1
+     */
+    function findRotation(matrix, trackBlock) {
+        return matrix.rotations.findIndex(rotation => typeof rotation === 'string'
+            ? rotation === trackBlock.block
+            : rotation.block === trackBlock.block && rotation.start === trackBlock.start && rotation.end === trackBlock.end);
+    }
+
+    /**
+     * Matrix columns making up a track: one per dated block, with the share of
+     * the block its columns cover (dated columns already count only their dates)
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} trackData - Tracks.csv row
+     * @param {Object} variance - Variance data keyed by block name
+     * @returns {Object} - {rotations: [{rotIdx, factor}], missingRotations, totalRotations}
+     */
+    function getTrackRotations(matrix, trackData, variance) {
+        const rotations = [];
+        const missingRotations = [];
+        const trackBlocks = CommuteEngine.getTrackBlocks(trackData, variance);
+
+        trackBlocks.forEach(trackBlock => {
+            const rotIdx = findRotation(matrix, trackBlock);
+            if (rotIdx === -1) {
+                missingRotations.push(trackBlock.block);
+            } else {
+                const dated = typeof matrix.rotations[rotIdx] !== 'string' && trackBlock.start;
+                rotations.push({ rotIdx, factor: dated ? 1 : Math.min(1, trackBlock.weeks / trackBlock.blockWeeks) });
+            }
+        });
+
+        return { rotations, missingRotations, totalRotations: trackBlocks.length };
+    }
+
+    /**
+     * Sum a track's matrix columns from one row of rotation burdens
+     * @param {Array<number>} burdens - Burden per matrix rotation (a matrix row or an estimate)
+     * @param {Object} trackRotations - From getTrackRotations()
+     * @returns {number}
+     */
+    function sumTrackBurden(burdens, trackRotations) {
+        return trackRotations.rotations.reduce((sum, r) => sum + burdens[r.rotIdx] * r.factor, 0);
+    }
+
+    /**
+     * Interpolated burden of a whole track
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Object} trackData - Tracks.csv row
+     * @param {Object} variance - Variance data keyed by block name
+     * @param {Object} coords - {lat, lng}
+     * @param {Object} [options] - {method}
+     * @returns {Object} - {burden, miles (null without matrix miles), method, distance, testPoint, rotationsFound,
+     *          totalRotations, missingRotations}
+     */
+    function estimateTrackBurden(matrix, trackData, variance, coords, options = {}) {
+        const estimate = estimateRotationBurdens(matrix, coords, options);
+        const trackRotations = getTrackRotations(matrix, trackData, variance);
+
+        return {
+            burden: sumTrackBurden(estimate.burdens, trackRotations),
+            miles: estimate.miles ? sumTrackBurden(estimate.miles, trackRotations) : null,
+            method: estimate.method,
+            distance: estimate.distance,
+            testPoint: estimate.testPoint,
+            rotationsFound: trackRotations.rotations.length,
+            totalRotations: trackRotations.totalRotations,
+            missingRotations: trackRotations.missingRotations
+        };
+    }
+
+    /**
+     * Interpolated burden of every track, for ranking tracks from one home
+     * The grid cell is interpolated once and each track sums its own columns
+     * @param {Object} matrix - Parsed burden-matrix.json
+     * @param {Array<Object>} tracks - Tracks.csv rows
+     * @param {Object} variance - Variance data keyed by block name
+     * @param {Object} coords - {lat, lng}
+     * @param {Object} [options] - {method}
+     * @returns {Object} - {tracks: [{trackName, trackData, burden, miles, rotationsFound, totalRotations, missingRotations}],
+     *          method, distance, testPoint}
+     */
+    function estimateAllTrackBurdens(matrix, tracks, variance, coords, options = {}) {
+        const estimate = estimateRotationBurdens(matrix, coords, options);
+
+        return {
+            tracks: tracks.map(trackData => {
+                const trackRotations = getTrackRotations(matrix, trackData, variance);
+                return {
+                    trackName: trackData[CommuteEngine.TRACK_NAME_COLUMN],
+                    trackData,
+                    burden: sumTrackBurden(estimate.burdens, trackRotations),
+                    miles: estimate.miles ? sumTrackBurden(estimate.miles, trackRotations) : null,
+                    rotationsFound: trackRotations.rotations.length,
+                    totalRotations: trackRotations.totalRotations,
+                    missingRotations: trackRotations.missingRotations
+                };
+            }),
+            method: estimate.method,
+            distance: estimate.distance,
+            testPoint: estimate.testPoint
+        };
+    }
+
+    /**
+     * Compare an instant estimate with the precise result
+     * @returns {Object} - {estimateHours, preciseHours, errorHours, errorPercent}
+     */
+    function estimateError(estimateHours, preciseHours) {
+        const errorHours = estimateHours - preciseHours;
+        return {
+            estimateHours,
+            preciseHours,
+            errorHours,
+            errorPercent: preciseHours > 0 ? errorHours / preciseHours * 100 : 0
+        };
+    }
+
+    return {
+        INTERPOLATION_METHODS,
+        findNearestTestPoint,
+        getInterpolationWeights,
+        estimateRotationBurdens,
+        findRotation,
+        getTrackRotations,
+        sumTrackBurden,
+        estimateTrackBurden,
+        estimateAllTrackBurdens,
+        estimateError
+    };
+});
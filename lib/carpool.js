@@ -0,0 +1,355 @@
+/**
+ * Carpool Optimizer
+ *
+ * Groups students who commute to the same site on the same dates into
+ * carpools, block by block:
+ *
+ * 1. Each student's track is calculated alone; every commuted schedule
+ *    entry of a dated block with fixed dates at the site becomes a stint
+ *    (site, first and last date, the dates themselves)
+ * 2. Stints at one site are cut into windows in which the same students
+ *    are there
+ * 3. In each window the student farthest from the site starts a car and
+ *    takes whoever saves the car the most driving, up to `seats` people;
+ *    the rest form further cars the same way
+ * 4. Members take turns driving, one pooled date each in order; each driver
+ *    uses their fastest pickup order (all are tried)
+ *
+ * A car pools only the dates all its members are at the site, one round
+ * trip along the same route both ways. The car arrives by the earliest
+ * member's shift start and leaves at the latest shift end; driving alone
+ * uses the student's own shift, and both scale legs by engine.traffic for
+ * that date's weekday. A grouping is rejected when anyone's one-way trip
+ * grows by more than maxDetourMinutes (free flow), or when any member, or
+ * the car as a whole, drives more hours than driving those dates alone.
+ * The car's vehicle cost is split evenly. TBD, housed and undated blocks,
+ * weeks split evenly between sites and blocks with overnight call are not
+ * pooled.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteCarpool`
+ * in the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommuteCarpool = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_SEATS = 4;
+    const DEFAULT_MAX_DETOUR_MINUTES = 20;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const WEEK_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    function addDays(isoDate, days) {
+        return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function weekdayOf(isoDate) {
+        return WEEK_DAYS[(new Date(Date.parse(isoDate)).getUTCDay() + 6) % 7];
+    }
+
+    /**
+     * Dated stints at one site from a track result
+     * @param {Object} trackResult - From engine.calculateTrackCommute()
+     * @returns {Array<Object>} - [{site, block, start, end, dates}] (ISO dates, inclusive)
+     */
+    function getStints(trackResult) {
+        const stints = [];
+        (trackResult.blockDetails || []).forEach(block => {
+            if (!block.start || block.isTBD || !block.scheduleDetails) return;
+            block.scheduleDetails.forEach(detail => {
+                if (detail.housed || !detail.siteDates || detail.siteDates.length === 0) return;
+                const dates = [...detail.siteDates].sort();
+                stints.push({ site: detail.location, block: block.block, start: dates[0], end: dates[dates.length - 1], dates });
+            });
+        });
+        return stints;
+    }
+
+    /**
+     * Cut the stints at one site into windows with a fixed set of students
+     * Adjacent windows with the same students are merged
+     * @param {Array<Object>} stints - [{student, start, end, dates}]
+     * @returns {Array<Object>} - [{start, end, dates: {student: [isoDate]}}], only windows with 2+ students
+     */
+    function getSiteWindows(stints) {
+        const boundaries = [...new Set(stints.flatMap(stint => [stint.start, addDays(stint.end, 1)]))].sort();
+        const windows = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const start = boundaries[i];
+            const end = addDays(boundaries[i + 1], -1);
+            const dates = {};
+            stints.forEach(stint => {
+                const inWindow = stint.dates.filter(date => date >= start && date <= end);
+                if (inWindow.length === 0) return;
+                dates[stint.student] = [...(dates[stint.student] || []), ...inWindow].sort();
+            });
+            if (Object.keys(dates).length === 0) continue;
+
+            const previous = windows[windows.length - 1];
+            const students = Object.keys(dates).sort().join(',');
+            if (previous && previous.end === addDays(start, -1) && Object.keys(previous.dates).sort().join(',') === students) {
+                previous.end = end;
+                Object.keys(dates).forEach(student => previous.dates[student].push(...dates[student]));
+            } else {
+                windows.push({ start, end, dates });
+            }
+        }
+        return windows.filter(window => Object.keys(window.dates).length >= 2);
+    }
+
+    function permutations(items) {
+        if (items.length <= 1) return [items];
+        return items.flatMap((item, i) =>
+            permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+    }
+
+    /**
+     * Plan carpools for a group of students
+     * @param {Object} engine - From CommuteEngine.createCommuteEngine()
+     * @param {Array<Object>} students - [{name, homeCoords, trackData}]
+     * @param {Object} [options]
+     * @param {number} [options.seats] - People per car, driver included (4)
+     * @param {number} [options.maxDetourMinutes] - Longest one-way detour anyone accepts (20)
+     * @param {number} [options.costPerMile] - Vehicle cost per mile (lib/vehicles.js)
+     * @param {boolean} [options.useApi]
+     * @param {Function} [options.onProgress] - (message) => void
+     * @returns {Promise<Object>} - {windows, people}; windows: [{site, siteCoords, start, end, groups, solo}],
+     *          groups: [{members, days, turns: [{driver, riders, stops, days, routeHours, routeMiles}], detourMinutes}],
+     *          people: [{name, trackName, trackHours, pooledDays, soloHours, carpoolHours, drivingHours,
+     *          drivingHoursSaved, extraTravelHours, soloCost, carpoolCost, costSaved}]
+     */
+    async function planCarpools(engine, students, options = {}) {
+        const seats = options.seats || DEFAULT_SEATS;
+        const maxDetourHours = (options.maxDetourMinutes === undefined ? DEFAULT_MAX_DETOUR_MINUTES : options.maxDetourMinutes) / 60;
+        const costPerMile = options.costPerMile || 0;
+        const useApi = options.useApi !== false;
+        const onProgress = options.onProgress || (() => {});
+        const traffic = engine.traffic;
+
+        const legCache = new Map();
+        async function leg(from, to) {
+            const key = `${from.lat},${from.lng};${to.lat},${to.lng}`;
+            if (!legCache.has(key)) {
+                legCache.set(key, await engine.getRoute(from, to, useApi));
+            }
+            return legCache.get(key);
+        }
+
+        // Fastest pickup order for one driver: driver → riders in order → site
+        async function bestRoute(driver, riders, siteCoords) {
+            let best = null;
+            for (const rest of permutations(riders)) {
+                const order = [driver, ...rest];
+                const stops = [...order.map(i => students[i].homeCoords), siteCoords];
+                const legs = [];
+                for (let s = 1; s < stops.length; s++) {
+                    legs.push(await leg(stops[s - 1], stops[s]));
+                }
+                const routeHours = legs.reduce((sum, route) => sum + route.durationHours, 0);
+                if (!best || routeHours < best.routeHours) {
+                    const routeMiles = legs.reduce((sum, route) => sum + route.distanceMiles, 0);
+                    best = { order, stops, legs, routeHours, routeMiles };
+                }
+            }
+            return best;
+        }
+
+        // Hours in the car for each stop of a route on one date, rush hour included:
+        // to the site arriving by shift.start, back leaving at shift.end
+        function timeRoute(route, shift, day) {
+            const morning = new Array(route.legs.length).fill(0);
+            const evening = new Array(route.legs.length).fill(0);
+            let arrive = shift.start;
+            let leave = shift.end;
+            for (let s = route.legs.length - 1; s >= 0; s--) {
+                const hours = route.legs[s].durationHours;
+                arrive -= hours;
+                morning[s] = hours * traffic.factor(route.stops[s], route.stops[s + 1], arrive, day);
+                evening[s] = hours * traffic.factor(route.stops[s + 1], route.stops[s], leave, day);
+                leave += hours;
+            }
+            // Stop s rides legs s onward in the morning, and the same legs back in the evening
+            return route.order.map((_, s) => morning.slice(s).reduce((a, b) => a + b, 0) + evening.slice(s).reduce((a, b) => a + b, 0));
+        }
+
+        // Driving one date alone on the student's own shift
+        async function soloTrip(i, siteCoords, date) {
+            const home = students[i].homeCoords;
+            const route = await leg(home, siteCoords);
+            const shift = shifts[i][date];
+            const day = weekdayOf(date);
+            return {
+                hours: route.durationHours * (traffic.factor(home, siteCoords, shift.start - route.durationHours, day) +
+                    traffic.factor(siteCoords, home, shift.end, day)),
+                miles: route.distanceMiles * 2
+            };
+        }
+
+        /**
+         * A car of the given members in one window, or null when it pools no date,
+         * strains anyone's detour or has anyone (or the car) driving more than alone
+         * @returns {Object|null} - {members, dates, turns, detours, tally: {student: {...}}, hoursSaved}
+         */
+        async function planCar(members, window, siteCoords) {
+            const dates = window.dates[members[0]].filter(date => members.every(i => window.dates[i].includes(date)));
+            if (dates.length === 0) return null;
+
+            const turns = [];
+            const detours = {};
+            for (const driver of members) {
+                const route = await bestRoute(driver, members.filter(i => i !== driver), siteCoords);
+                let ridden = 0;
+                for (let s = route.order.length - 1; s >= 0; s--) {
+                    ridden += route.legs[s].durationHours;
+                    const i = route.order[s];
+                    const detour = ridden - (await leg(students[i].homeCoords, siteCoords)).durationHours;
+                    detours[i] = Math.max(detours[i] ?? -Infinity, detour);
+                }
+                turns.push({ ...route, dates: [] });
+            }
+            if (members.some(i => detours[i] > maxDetourHours)) return null;
+
+            const tally = {};
+            members.forEach(i => tally[i] = { soloHours: 0, carpoolHours: 0, drivingHours: 0, soloCost: 0, carpoolCost: 0 });
+            for (const [k, date] of dates.entries()) {
+                const turn = turns[k % turns.length];
+                turn.dates.push(date);
+                const day = weekdayOf(date);
+                const shift = {
+                    start: Math.min(...members.map(i => shifts[i][date].start)),
+                    end: Math.max(...members.map(i => shifts[i][date].end))
+                };
+                const inCar = timeRoute(turn, shift, day);
+                for (const [s, i] of turn.order.entries()) {
+                    const alone = await soloTrip(i, siteCoords, date);
+                    tally[i].soloHours += alone.hours;
+                    tally[i].soloCost += alone.miles * costPerMile;
+                    tally[i].carpoolHours += inCar[s];
+                    tally[i].carpoolCost += turn.routeMiles * 2 * costPerMile / members.length;
+                }
+                tally[turn.order[0]].drivingHours += inCar[0];
+            }
+
+            const total = key => members.reduce((sum, i) => sum + tally[i][key], 0);
+            if (members.some(i => tally[i].drivingHours > tally[i].soloHours) || total('drivingHours') > total('soloHours')) {
+                return null;
+            }
+            return { members, dates, turns, detours, tally, hoursSaved: total('soloHours') - total('drivingHours') };
+        }
+
+        // ---- Solo tracks and their stints ----
+        const solo = [];
+        for (let i = 0; i < students.length; i++) {
+            onProgress(`Calculating ${students[i].name} alone (${i + 1}/${students.length})...`);
+            solo.push(await engine.calculateTrackCommute(students[i].trackData, students[i].homeCoords, useApi));
+        }
+
+        // Shift hours of each student's dates at a site
+        const shifts = students.map(() => ({}));
+        const stintsBySite = {};
+        solo.forEach((result, student) => {
+            getStints(result).forEach(stint => {
+                const shift = traffic.getShift(engine.variance[stint.block] || {});
+                stint.dates.forEach(date => shifts[student][date] = shift);
+                (stintsBySite[stint.site] = stintsBySite[stint.site] || []).push({ ...stint, student });
+            });
+        });
+
+        const people = students.map((student, i) => ({
+            name: student.name,
+            trackName: student.trackData['Current Track'],
+            trackHours: solo[i].totalHours,
+            pooledDays: 0,
+            soloHours: 0,
+            carpoolHours: 0,
+            drivingHours: 0,
+            soloCost: 0,
+            carpoolCost: 0
+        }));
+
+        // ---- Cars per window ----
+        const windows = [];
+        for (const [site, stints] of Object.entries(stintsBySite)) {
+            const siteCoords = engine.locations[site];
+            if (!siteCoords) continue;
+
+            for (const window of getSiteWindows(stints)) {
+                onProgress(`Grouping ${site} (${window.start} to ${window.end})...`);
+                const present = Object.keys(window.dates).map(Number);
+                const soloHours = {};
+                for (const i of present) {
+                    soloHours[i] = (await leg(students[i].homeCoords, siteCoords)).durationHours;
+                }
+
+                let remaining = present.sort((a, b) => soloHours[b] - soloHours[a]);
+                const groups = [];
+                const alone = [];
+                while (remaining.length > 0) {
+                    let car = null;
+                    let members = [remaining[0]];
+                    remaining = remaining.slice(1);
+                    while (members.length < seats) {
+                        let next = null;
+                        for (const candidate of remaining) {
+                            const option = await planCar([...members, candidate], window, siteCoords);
+                            if (option && (!next || option.hoursSaved > next.hoursSaved)) next = option;
+                        }
+                        if (!next || (car && next.hoursSaved <= car.hoursSaved)) break;
+                        car = next;
+                        members = car.members;
+                        remaining = remaining.filter(i => !members.includes(i));
+                    }
+                    if (!car) {
+                        alone.push(students[members[0]].name);
+                        continue;
+                    }
+
+                    car.members.forEach(i => {
+                        const person = people[i];
+                        person.pooledDays += car.dates.length;
+                        Object.keys(car.tally[i]).forEach(key => person[key] += car.tally[i][key]);
+                    });
+
+                    groups.push({
+                        members: car.members.map(i => students[i].name),
+                        days: car.dates.length,
+                        turns: car.turns.map(turn => ({
+                            driver: students[turn.order[0]].name,
+                            riders: turn.order.slice(1).map(i => students[i].name),
+                            stops: turn.order.map(i => students[i].homeCoords),
+                            days: turn.dates.length,
+                            routeHours: turn.routeHours,
+                            routeMiles: turn.routeMiles
+                        })),
+                        detourMinutes: Object.fromEntries(car.members.map(i => [students[i].name, car.detours[i] * 60]))
+                    });
+                }
+
+                if (groups.length > 0) {
+                    windows.push({ site, siteCoords, start: window.start, end: window.end, groups, solo: alone });
+                }
+            }
+        }
+
+        windows.sort((a, b) => a.start.localeCompare(b.start) || a.site.localeCompare(b.site));
+        people.forEach(person => {
+            person.drivingHoursSaved = person.soloHours - person.drivingHours;
+            person.extraTravelHours = person.carpoolHours - person.soloHours;
+            person.costSaved = person.soloCost - person.carpoolCost;
+        });
+        return { windows, people };
+    }
+
+    return {
+        DEFAULT_SEATS,
+        DEFAULT_MAX_DETOUR_MINUTES,
+        getStints,
+        getSiteWindows,
+        planCarpools
+    };
+});
@@ -0,0 +1,1673 @@
+/**
+ * Commute Engine
+ *
+ * The single implementation of the commute rules shared by index.html and
+ * every Node script in scripts/. Change a rule here and every artifact
+ * (page results, optimal-locations.json, burden-matrix.json, Wednesday
+ * analysis) agrees after the next regeneration.
+ *
+ * Loads as a CommonJS module in Node (require('../lib/commute-engine'))
+ * and as the global `CommuteEngine` in the browser (<script src>, after
+ * lib/routing-providers.js and lib/traffic.js).
+ *
+ * Commute rules:
+ * - Regular days: Home → Site → Home (2 legs)
+ * - Wednesday campus days: Home → Site → Campus → Home (3 legs)
+ *   (Wednesday Exception = "y" means NO Wednesday campus requirement)
+ * - Block schedules come from Variance.csv (see parseBlockSchedule):
+ *     Within Block Changes: "weeks 1-2: Westside; weeks 3-4: Northwest"
+ *     Within Week Changes:  "Mon-Tue: Kendall; Wed-Thu: Boynton; Fri: University"
+ *   A week range set to "within-week" follows the Within Week Changes map.
+ *   Without either column, weeks are split evenly across the listed sites.
+ * - Site choices ("WestPalm or Kendall"): the choice closest to home
+ * - Housed sites ("Nemours (housed)"): 0 daily commute; "(housed, travel)"
+ *   adds one trip from home to the housing and back for the week range, on
+ *   its first and last day worked (calendar days off skipped) at rush hour
+ * - "To Be Determined" blocks: expected burden over every possible site,
+ *   weighted by the TBD Weight column (blank = 1), with best and worst case
+ * - Tracks follow the dates in the Tracks.csv headers ("Apr-26 (03/30/26-04/24/26)"):
+ *   adjacent columns holding the same block are one block (see getTrackBlocks),
+ *   and a block is charged only for the weeks its columns cover
+ * - Calendar.csv holidays and vacation drop commute days from dated blocks;
+ *   exam days replace the site trip with Home → Campus → Home
+ * - Rush hour (lib/traffic.js): morning legs arrive by the block's shift
+ *   start, evening legs leave at its shift end, each scaled by the traffic
+ *   multiplier for that hour and corridor; weekend days use weekend traffic
+ * - Shift patterns (see parseDaysWorked, parseCall):
+ *     Days Worked: "Mon-Fri; Sat every 2 weeks" (blank = Mon-Fri every week)
+ *     Call:        "q4" or "q4, post-call 11:00" (every 4th day worked is
+ *                  overnight call; the call day and the post-call day are one
+ *                  round trip, home after the post-call release)
+ * - Commute modes (lib/transit.js): a block can be commuted by transit or
+ *   park-and-ride instead of driving; site trips then use the GTFS timetable
+ *   (driving when no ride fits), while Wednesday campus trips, exam days and
+ *   housing travel are still driven
+ * - Tolls (lib/tolls.js): each driven leg pays the SunPass rate of the
+ *   gantries its route passes; the return of a site trip is priced on the
+ *   reversed outbound route
+ * - Fixed destinations (calculateFixedCommute): weekday round trips to one
+ *   place at fixed hours, for people who do not follow a track
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./routing-providers'), require('./traffic'));
+    } else {
+        root.CommuteEngine = factory(root.CommuteRouting, root.CommuteTraffic);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteRouting, CommuteTraffic) {
+    'use strict';
+
+    // Configuration
+    const NSU_COORDS = { lat: 26.082, lng: -80.249 };
+    const SOUTH_FLORIDA_BOUNDS = { minLat: 25.5, maxLat: 26.8, minLng: -80.5, maxLng: -80.0 };
+    const GRID_SIZE = 20; // 20x20 = 441 test points
+    const LEG_SOURCES = ['api', 'cache', 'haversine']; // Where a leg's route came from
+    const API_DELAY_MS = 1000 / CommuteRouting.DEFAULT_CONFIG.providers.osrm.ratePerSecond; // Public OSRM rate limit
+    const FALLBACK_SPEED_MPH = CommuteRouting.FALLBACK_SPEED_MPH;
+    const DEFAULT_BLOCK_WEEKS = 4;
+    const WORK_DAYS_PER_WEEK = 5;
+    const TBD_MARKER = 'To Be Determined';
+    const TRACK_NAME_COLUMN = 'Current Track';
+    const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+    const WEEKEND_DAYS = ['Sat', 'Sun'];
+    const WEEK_DAYS = [...WEEKDAYS, ...WEEKEND_DAYS];
+    const DAYS_WORKED_COLUMN = 'Days Worked';
+    const CALL_COLUMN = 'Call';
+    const DEFAULT_POST_CALL = '11:00'; // 24 + 4 hours after a 07:00 start
+    const WITHIN_WEEK = 'within-week'; // Week range value that defers to Within Week Changes
+    const SITE_FLAGS = ['housed', 'travel'];
+    const TBD_WEIGHT_COLUMN = 'TBD Weight';
+    const DEFAULT_TBD_WEIGHT = 1;
+    const SCAN_YIELD_EVERY = 20; // Grid points between yields to the event loop during a scan
+
+    // ============================================================================
+    // Data Parsing
+    // ============================================================================
+
+    /**
+     * Parse CSV text into an array of row objects keyed by header
+     * @param {string} text - Raw CSV text
+     * @param {Object} [options] - {trim: false keeps surrounding whitespace in values, for linting}
+     * @returns {Array<Object>}
+     */
+    function parseCSV(text, options = {}) {
+        const trim = options.trim !== false ? value => value.trim() : value => value;
+        const lines = text.trim().split(/\r?\n/);
+        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
+        return lines.slice(1).map(line => {
+            const values = [];
+            let current = '';
+            let inQuotes = false;
+
+            for (let char of line) {
+                if (char === '"') {
+                    inQuotes = !inQuotes;
+                } else if (char === ',' && !inQuotes) {
+                    values.push(trim(current));
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            values.push(trim(current));
+
+            const obj = {};
+            headers.forEach((h, i) => {
+                obj[h] = values[i] || '';
+            });
+            return obj;
+        });
+    }
+
+    /**
+     * Build the location lookup from Locations.csv rows (NSU campus included)
+     * @param {Array<Object>} rows - Parsed Locations.csv rows
+     * @returns {Object} - { [name]: {lat, lng} }
+     */
+    function buildLocations(rows) {
+        const locations = {};
+        rows.forEach(row => {
+            if (row.Locations && row.Coordinates) {
+                const [lat, lng] = row.Coordinates.replace(/"/g, '').split(',').map(s => parseFloat(s.trim()));
+                if (!isNaN(lat) && !isNaN(lng)) {
+                    locations[row.Locations.trim()] = { lat, lng };
+                }
+            }
+        });
+        locations['NSU'] = NSU_COORDS;
+        return locations;
+    }
+
+    /**
+     * Keep only Tracks.csv rows that name a track
+     * @param {Array<Object>} rows - Parsed Tracks.csv rows
+     * @returns {Array<Object>}
+     */
+    function buildTracks(rows) {
+        return rows.filter(row => row[TRACK_NAME_COLUMN] && row[TRACK_NAME_COLUMN].trim() !== '');
+    }
+
+    /**
+     * Build the variance lookup from Variance.csv rows
+     * @param {Array<Object>} rows - Parsed Variance.csv rows
+     * @returns {Object} - { [blockName]: row }
+     */
+    function buildVariance(rows) {
+        const variance = {};
+        rows.forEach(row => {
+            if (row.Block) {
+                variance[row.Block] = row;
+            }
+        });
+        return variance;
+    }
+
+    // ============================================================================
+    // Block Schedules
+    // ============================================================================
+
+    // Blank and "N/A" schedule cells mean no schedule
+    function isUnsetSchedule(value) {
+        const text = (value || '').trim();
+        return text === '' || /^n\/?a$/i.test(text);
+    }
+
+    // "Mon", "mon-tue", "Wed, Fri", "Sat-Sun" → ['Mon', 'Tue', ...]
+    function parseDays(spec) {
+        const days = [];
+        spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [first, last = first] = part.split('-').map(d => d.trim());
+            const start = WEEK_DAYS.findIndex(d => d.toLowerCase() === first.slice(0, 3).toLowerCase());
+            const end = WEEK_DAYS.findIndex(d => d.toLowerCase() === last.slice(0, 3).toLowerCase());
+            if (start === -1 || end === -1 || end < start) {
+                throw new Error(`Unknown day range "${part}"`);
+            }
+            days.push(...WEEK_DAYS.slice(start, end + 1));
+        });
+        return days;
+    }
+
+    /**
+     * Parse a Days Worked cell
+     * @param {string} text - e.g. "Mon-Fri; Sat every 2 weeks" or "Mon-Sat; Sun every other week"
+     * @returns {Object|null} - { Mon: 1, ..., Sat: 2 } (worked every N weeks), or null when blank
+     */
+    function parseDaysWorked(text) {
+        if (isUnsetSchedule(text)) return null;
+
+        const periods = {};
+        text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(.+?)(?:\s+every\s+(other|\d+)\s+weeks?)?$/i);
+            const period = !match[2] ? 1 : match[2].toLowerCase() === 'other' ? 2 : parseInt(match[2], 10);
+            if (period < 1) {
+                throw new Error(`"${part}" must repeat every 1 or more weeks`);
+            }
+            parseDays(match[1]).forEach(day => {
+                if (periods[day]) {
+                    throw new Error(`${day} is listed twice in Days Worked`);
+                }
+                periods[day] = period;
+            });
+        });
+        return periods;
+    }
+
+    /**
+     * Parse a Call cell
+     * @param {string} text - "q4" (every 4th day worked) or "q4, post-call 12:00"
+     * @returns {Object|null} - {every, postCall: hours after midnight}, or null when blank / N/A
+     */
+    function parseCall(text) {
+        if (isUnsetSchedule(text)) return null;
+
+        const match = text.trim().match(/^q\s*(\d+)(?:\s*,\s*post-call\s+(\S+))?$/i);
+        if (!match) {
+            throw new Error(`Expected "qN" or "qN, post-call HH:MM" in Call "${text.trim()}"`);
+        }
+        const every = parseInt(match[1], 10);
+        if (every < 2) {
+            throw new Error(`Call "${text.trim()}" must be q2 or less often`);
+        }
+        const postCall = CommuteTraffic.parseTime(match[2] || DEFAULT_POST_CALL);
+        if (postCall === null) {
+            throw new Error(`Malformed post-call time "${match[2]}" (expected HH:MM, 24-hour)`);
+        }
+        return { every, postCall };
+    }
+
+    /**
+     * Parse one schedule site entry
+     * @param {string} text - "Kendall", "WestPalm or Kendall", "Nemours (housed)" or "Nemours (housed, travel)"
+     * @returns {Object} - {choices: ['WestPalm', 'Kendall'], housed, travel}
+     */
+    function parseSiteEntry(text) {
+        const match = text.match(/^(.*?)\s*(?:\(([^)]*)\))?$/);
+        const flags = match[2] ? match[2].split(',').map(f => f.trim().toLowerCase()).filter(Boolean) : [];
+        const choices = match[1].split(/\s+or\s+/i).map(c => c.trim()).filter(Boolean);
+
+        const unknownFlag = flags.find(flag => !SITE_FLAGS.includes(flag));
+        if (unknownFlag) {
+            throw new Error(`Unknown site flag "${unknownFlag}" in "${text}" (expected ${SITE_FLAGS.join(' or ')})`);
+        }
+        if (choices.length === 0) {
+            throw new Error(`Missing site in "${text}"`);
+        }
+
+        const housed = flags.includes('housed');
+        const travel = flags.includes('travel');
+        if (travel && !housed) {
+            throw new Error(`"travel" needs "housed" in "${text}"`);
+        }
+        if (housed && choices.length > 1) {
+            throw new Error(`A housed site cannot be a choice in "${text}"`);
+        }
+        return { choices, housed, travel };
+    }
+
+    /**
+     * Parse a Within Week Changes cell
+     * @param {string} text - e.g. "Mon-Tue: WestPalm or Kendall; Wed-Thu: Boynton; Fri: University"
+     * @returns {Object} - { Mon: siteEntry, Tue: siteEntry, ... }; days left out are not worked
+     */
+    function parseWeekdayMap(text) {
+        const dayMap = {};
+        text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const colon = part.indexOf(':');
+            if (colon === -1) {
+                throw new Error(`Expected "days: site" in "${part}"`);
+            }
+            const site = parseSiteEntry(part.slice(colon + 1).trim());
+            if (site.travel) {
+                throw new Error(`"travel" only applies to week ranges, not to "${part}"`);
+            }
+            parseDays(part.slice(0, colon)).forEach(day => {
+                if (dayMap[day]) {
+                    throw new Error(`${day} is assigned twice`);
+                }
+                dayMap[day] = site;
+            });
+        });
+        return dayMap;
+    }
+
+    /**
+     * Parse a Within Block Changes cell
+     * @param {string} text - e.g. "weeks 1-3: Nemours (housed); week 4: within-week"
+     * @returns {Array<Object>} - [{start, end, target}], in week order
+     */
+    function parseWeekRanges(text) {
+        return text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^weeks?\s+(\d+)(?:\s*-\s*(\d+))?\s*:\s*(.+)$/i);
+            if (!match) {
+                throw new Error(`Expected "weeks N-M: site" in "${part}"`);
+            }
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            if (end < start) {
+                throw new Error(`Week range "${part}" ends before it starts`);
+            }
+            return { start, end, target: match[3].trim() };
+        }).sort((a, b) => a.start - b.start);
+    }
+
+    function everyDay(site, days) {
+        const dayMap = {};
+        days.forEach(day => dayMap[day] = site);
+        return dayMap;
+    }
+
+    // ['Mon', 'Tue', 'Fri'] → "Mon-Tue, Fri"
+    function formatDays(days) {
+        const runs = [];
+        days.forEach(day => {
+            const last = runs[runs.length - 1];
+            if (last && WEEK_DAYS.indexOf(day) === WEEK_DAYS.indexOf(last[last.length - 1]) + 1) {
+                last.push(day);
+            } else {
+                runs.push([day]);
+            }
+        });
+        return runs.map(run => run.length > 1 ? `${run[0]}-${run[run.length - 1]}` : run[0]).join(', ');
+    }
+
+    function formatWeeks(start, end) {
+        return start === end ? `Week ${start}` : `Weeks ${start}-${end}`;
+    }
+
+    /**
+     * Turn a Variance.csv row into the weeks and day sites of the block
+     *
+     * Week ranges must cover every week of the block exactly once. Sites given
+     * for whole weeks are worked on the Days Worked; a Within Week Changes map
+     * lists its own days, which must be among the Days Worked when that is set.
+     *
+     * @param {Object} varData - Variance.csv row
+     * @returns {Object} - {weeks, periods: {Mon: 1, Sat: 2, ...}, call,
+     *   segments: [{label, firstWeek, weekCount, share, days: {Mon: siteEntry, ...}}]}
+     *   (an even split has one segment per site over every week, each with share 1/sites;
+     *   periods lists how often each day is worked, in weeks; call comes from parseCall)
+     * @throws {Error} - When a schedule cell is malformed
+     */
+    function parseBlockSchedule(varData) {
+        const weeks = parseInt(varData['Block Length (wks)']) || DEFAULT_BLOCK_WEEKS;
+        const blockLocations = (varData.Locations || '').split(',').map(l => l.trim()).filter(Boolean);
+        const withinWeek = varData['Within Week Changes'];
+        const withinBlock = varData['Within Block Changes'];
+        const weekdayMap = isUnsetSchedule(withinWeek) ? null : parseWeekdayMap(withinWeek);
+        const daysWorked = parseDaysWorked(varData[DAYS_WORKED_COLUMN]);
+        const call = parseCall(varData[CALL_COLUMN]);
+        const workDays = daysWorked ? WEEK_DAYS.filter(day => daysWorked[day]) : WEEKDAYS;
+
+        const periods = {};
+        workDays.forEach(day => periods[day] = daysWorked ? daysWorked[day] : 1);
+        if (weekdayMap) {
+            Object.keys(weekdayMap).forEach(day => {
+                if (daysWorked && !daysWorked[day]) {
+                    throw new Error(`Within Week Changes assigns ${day}, which is not in Days Worked`);
+                }
+                periods[day] = periods[day] || 1;
+            });
+        }
+
+        if (!isUnsetSchedule(withinBlock)) {
+            const ranges = parseWeekRanges(withinBlock);
+            let nextWeek = 1;
+            const segments = ranges.map(range => {
+                if (range.start !== nextWeek) {
+                    throw new Error(`${formatWeeks(range.start, range.end)} leaves a gap or overlap at week ${nextWeek}`);
+                }
+                nextWeek = range.end + 1;
+
+                const usesWeekdayMap = range.target.toLowerCase() === WITHIN_WEEK;
+                if (usesWeekdayMap && !weekdayMap) {
+                    throw new Error(`${formatWeeks(range.start, range.end)} uses ${WITHIN_WEEK} but Within Week Changes is empty`);
+                }
+                return {
+                    label: formatWeeks(range.start, range.end),
+                    firstWeek: range.start,
+                    weekCount: range.end - range.start + 1,
+                    share: 1,
+                    days: usesWeekdayMap ? weekdayMap : everyDay(parseSiteEntry(range.target), workDays)
+                };
+            });
+            if (nextWeek !== weeks + 1) {
+                throw new Error(`Week ranges cover weeks 1-${nextWeek - 1} of a ${weeks}-week block`);
+            }
+            return { weeks, periods, call, segments };
+        }
+
+        if (weekdayMap) {
+            return { weeks, periods, call, segments: [{ label: formatWeeks(1, weeks), firstWeek: 1, weekCount: weeks, share: 1, days: weekdayMap }] };
+        }
+
+        // No schedule: weeks split evenly across the listed sites
+        return {
+            weeks,
+            periods,
+            call,
+            segments: blockLocations.map(site => ({
+                label: null,
+                firstWeek: 1,
+                weekCount: weeks / blockLocations.length,
+                share: 1 / blockLocations.length, // Of every week, since the split has no dates
+                days: everyDay({ choices: [site], housed: false, travel: false }, workDays)
+            }))
+        };
+    }
+
+    /**
+     * List where a block is worked: one visit per week range and site entry
+     *
+     * A malformed schedule is reported through onInvalid and replaced by the
+     * even split over Mon-Fri, so callers always get a usable list.
+     *
+     * @param {Object} varData - Variance.csv row
+     * @param {Function} [onInvalid] - (error) => void
+     * @returns {Array<Object>} - [{weeks, days, location, choices, siteWeeks, housed, travel, weekCount, firstWeek, share,
+     *          dayList, periods, call}] (location joins the choices, e.g. "WestPalm or Kendall")
+     */
+    function getBlockVisits(varData, onInvalid) {
+        let schedule;
+        try {
+            schedule = parseBlockSchedule(varData);
+        } catch (error) {
+            if (onInvalid) onInvalid(error);
+            schedule = parseBlockSchedule({
+                ...varData,
+                'Within Week Changes': '',
+                'Within Block Changes': '',
+                [DAYS_WORKED_COLUMN]: '',
+                [CALL_COLUMN]: ''
+            });
+        }
+
+        const visits = [];
+        schedule.segments.forEach(segment => {
+            // Group the segment's days by site entry
+            const groups = {};
+            WEEK_DAYS.forEach(day => {
+                const site = segment.days[day];
+                if (!site) return;
+                const key = `${site.choices.join(' or ')}${site.housed ? ' (housed)' : ''}`;
+                (groups[key] = groups[key] || { site, dayList: [] }).dayList.push(day);
+            });
+
+            Object.values(groups).forEach(({ site, dayList }) => {
+                const periods = {};
+                dayList.forEach(day => periods[day] = schedule.periods[day]);
+                const daysPerWeek = dayList.reduce((sum, day) => sum + 1 / periods[day], 0);
+                visits.push({
+                    weeks: segment.label,
+                    days: formatDays(dayList),
+                    location: site.choices.join(' or '),
+                    choices: site.choices,
+                    siteWeeks: segment.weekCount * daysPerWeek / WORK_DAYS_PER_WEEK,
+                    housed: site.housed,
+                    travel: site.travel,
+                    weekCount: segment.weekCount,
+                    firstWeek: segment.firstWeek,
+                    share: segment.share,
+                    dayList,
+                    periods,
+                    call: schedule.call
+                });
+            });
+        });
+        return visits;
+    }
+
+    /**
+     * Weight of a block as a TBD candidate, e.g. historical assignment count or seats
+     * @param {Object} varData - Variance.csv row
+     * @returns {number} - TBD Weight column, or 1 when blank or invalid
+     */
+    function getTBDWeight(varData) {
+        const weight = parseFloat(varData[TBD_WEIGHT_COLUMN]);
+        return isNaN(weight) || weight < 0 ? DEFAULT_TBD_WEIGHT : weight;
+    }
+
+    /**
+     * Get the schedule columns of a track (every column except the track name)
+     * @param {Object} trackData - Tracks.csv row
+     * @returns {Array<string>}
+     */
+    function getTrackColumns(trackData) {
+        return Object.keys(trackData).filter(k => k !== TRACK_NAME_COLUMN);
+    }
+
+    /**
+     * Collect every distinct rotation scheduled across the given tracks
+     * @param {Array<Object>} tracks - Tracks.csv rows
+     * @returns {Array<string>} - Sorted rotation names
+     */
+    function getUniqueRotations(tracks) {
+        const uniqueRotations = new Set();
+        tracks.forEach(track => {
+            getTrackColumns(track).forEach(col => {
+                const rotation = track[col];
+                if (rotation && rotation.trim() !== '') {
+                    uniqueRotations.add(rotation.trim());
+                }
+            });
+        });
+        return Array.from(uniqueRotations).sort();
+    }
+
+    // ============================================================================
+    // Track Calendar
+    // ============================================================================
+
+    // "(03/30/26-04/24/26)" in a Tracks.csv column header
+    const COLUMN_DATES_PATTERN = /\((\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\s*-\s*(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\)/;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Month, day and 2- or 4-digit year strings to "YYYY-MM-DD", or null if not a real date
+    function toISODate(month, day, year) {
+        const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+        const date = new Date(Date.UTC(fullYear, parseInt(month, 10) - 1, parseInt(day, 10)));
+        if (date.getUTCMonth() !== parseInt(month, 10) - 1 || date.getUTCDate() !== parseInt(day, 10)) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Parse a Tracks.csv column header such as "Apr-26 (03/30/26-04/24/26)"
+     * @param {string} header - Column header
+     * @returns {Object} - {header, label, start, end, weeks}; start and end are
+     *   "YYYY-MM-DD" and weeks counts calendar weeks touched. Headers without a
+     *   valid date range get null start, end and weeks; invalid is true when
+     *   a range is present but malformed
+     */
+    function parseTrackColumn(header) {
+        const label = header.replace(COLUMN_DATES_PATTERN, '').trim() || header.trim();
+        const match = header.match(COLUMN_DATES_PATTERN);
+        const undated = { header, label, start: null, end: null, weeks: null, invalid: false };
+        if (!match) {
+            return { ...undated, invalid: /\(.*\d.*\)/.test(header) };
+        }
+
+        const start = toISODate(match[1], match[2], match[3]);
+        const end = toISODate(match[4], match[5], match[6]);
+        if (!start || !end || end < start) {
+            return { ...undated, invalid: true };
+        }
+
+        const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+        return { header, label, start, end, weeks: Math.ceil(days / 7), invalid: false };
+    }
+
+    /**
+     * Length in weeks of a block; a TBD block takes its longest candidate
+     * @param {string} blockName - Tracks.csv cell
+     * @param {Object} variance - Variance data keyed by block name
+     * @returns {number}
+     */
+    function getBlockLength(blockName, variance) {
+        const length = varData => parseInt(varData['Block Length (wks)']) || DEFAULT_BLOCK_WEEKS;
+        if (blockName.includes(TBD_MARKER)) {
+            const blockType = blockName.split('@')[0].trim();
+            const lengths = Object.keys(variance)
+                .filter(key => key.includes(blockType) && !key.includes(TBD_MARKER))
+                .map(key => length(variance[key]));
+            return lengths.length > 0 ? Math.max(...lengths) : DEFAULT_BLOCK_WEEKS;
+        }
+        return variance[blockName] ? length(variance[blockName]) : DEFAULT_BLOCK_WEEKS;
+    }
+
+    /**
+     * Split a track into dated blocks
+     *
+     * Adjacent columns holding the same block are one block (an 8-week
+     * Surgery Clerkship fills two 4-week columns) until the columns cover
+     * the block's length. Undated columns count as DEFAULT_BLOCK_WEEKS.
+     *
+     * @param {Object} trackData - Tracks.csv row
+     * @param {Object} variance - Variance data keyed by block name
+     * @returns {Array<Object>} - [{block, columns, month, start, end, calendarWeeks, blockWeeks, weeks}]
+     *   where weeks = calendar weeks actually spent on the block (at most blockWeeks)
+     */
+    function getTrackBlocks(trackData, variance) {
+        const blocks = [];
+        let current = null;
+
+        getTrackColumns(trackData).forEach(header => {
+            const blockName = (trackData[header] || '').trim();
+            if (!blockName) {
+                current = null;
+                return;
+            }
+
+            const column = parseTrackColumn(header);
+            const columnWeeks = column.weeks || DEFAULT_BLOCK_WEEKS;
+
+            if (current && current.block === blockName && current.calendarWeeks < current.blockWeeks) {
+                current.columns.push(column);
+                current.end = column.end;
+                current.calendarWeeks += columnWeeks;
+            } else {
+                current = {
+                    block: blockName,
+                    columns: [column],
+                    start: column.start,
+                    end: column.end,
+                    calendarWeeks: columnWeeks,
+                    blockWeeks: getBlockLength(blockName, variance)
+                };
+                blocks.push(current);
+            }
+        });
+
+        return blocks.map(block => {
+            const first = block.columns[0].label;
+            const last = block.columns[block.columns.length - 1].label;
+            return {
+                block: block.block,
+                columns: block.columns.map(c => c.header),
+                month: first === last ? first : `${first} – ${last}`,
+                start: block.columns.every(c => c.start) ? block.start : null,
+                end: block.columns.every(c => c.end) ? block.end : null,
+                calendarWeeks: block.calendarWeeks,
+                blockWeeks: block.blockWeeks,
+                weeks: Math.min(block.calendarWeeks, block.blockWeeks)
+            };
+        });
+    }
+
+    /**
+     * Every distinct dated block across the given tracks (the burden matrix columns)
+     * @param {Array<Object>} tracks - Tracks.csv rows
+     * @param {Object} variance - Variance data keyed by block name
+     * @returns {Array<Object>} - [{block, start, end}] sorted by block and start; start/end null for undated blocks
+     */
+    function getUniqueTrackBlocks(tracks, variance) {
+        const unique = new Map();
+        tracks.forEach(track => {
+            getTrackBlocks(track, variance).forEach(trackBlock => {
+                const key = [trackBlock.block, trackBlock.start, trackBlock.end].join('|');
+                if (!unique.has(key)) {
+                    unique.set(key, { block: trackBlock.block, start: trackBlock.start, end: trackBlock.end });
+                }
+            });
+        });
+        return [...unique.values()].sort((a, b) =>
+            a.block.localeCompare(b.block) || String(a.start).localeCompare(String(b.start)));
+    }
+
+    /**
+     * Count one leg by its source
+     * @param {Object} tally - {api, cache, haversine, fallback}
+     * @param {Object} leg - getRoute() result
+     */
+    function countLegSource(tally, leg) {
+        tally[leg.source] = (tally[leg.source] || 0) + 1;
+        if (leg.fallback) tally.fallback++;
+        return leg;
+    }
+
+    function createLegTally() {
+        const tally = {};
+        LEG_SOURCES.forEach(source => {
+            tally[source] = 0;
+        });
+        tally.fallback = 0;
+        return tally;
+    }
+
+    /**
+     * Add up leg tallies and rate how much of a result rests on real routes
+     * @param {Array<Object>} tallies - {api, cache, haversine, fallback} leg counts
+     * @returns {Object} - {legSources, fallbackLegs, confidence}: confidence is the share of legs
+     *          from real routes (api or cache), 1 when nothing was routed
+     */
+    function summarizeLegSources(tallies) {
+        const legSources = createLegTally();
+        tallies.filter(Boolean).forEach(tally => {
+            Object.keys(legSources).forEach(source => {
+                legSources[source] += tally[source] || 0;
+            });
+        });
+        const legs = LEG_SOURCES.reduce((sum, source) => sum + legSources[source], 0);
+        return {
+            legSources,
+            fallbackLegs: legSources.fallback,
+            confidence: legs > 0 ? (legSources.api + legSources.cache) / legs : 1
+        };
+    }
+
+    /**
+     * Scale a block result to the share of the block actually on the calendar
+     * (a block cut short by its column dates); factor 1 returns it unchanged
+     * @param {Object} result - calculateBlockCommute() result
+     * @param {number} factor - Calendar weeks ÷ block length
+     * @returns {Object}
+     */
+    function scaleBlockCommute(result, factor) {
+        if (factor >= 1) return result;
+
+        const scaled = { ...result };
+        ['totalHours', 'totalMiles', 'freeFlowHours', 'wednesdayHours', 'wednesdayMiles', 'bestCaseHours', 'worstCaseHours',
+            'commuteDays', 'campusDays', 'daysOff', 'callNights', 'drivingHours', 'transitHours', 'studyHours', 'fareCost', 'tollCost'].forEach(field => {
+            if (typeof result[field] === 'number') scaled[field] = result[field] * factor;
+        });
+        if (result.scheduleDetails) {
+            scaled.scheduleDetails = result.scheduleDetails.map(d => ({
+                ...d,
+                hours: d.hours * factor,
+                miles: d.miles * factor,
+                commuteDays: d.commuteDays * factor
+            }));
+        }
+        if (result.candidates) {
+            scaled.candidates = result.candidates.map(c => ({
+                ...c,
+                totalHours: c.totalHours * factor,
+                totalMiles: c.totalMiles * factor
+            }));
+        }
+        return scaled;
+    }
+
+    /**
+     * Spread each dated block's hours and miles evenly over its weekdays and
+     * total them per calendar month
+     * @param {Array<Object>} blockDetails - calculateTrackCommute() blockDetails
+     * @returns {Array<Object>} - [{month: "YYYY-MM", hours, miles, weekdays}] in date order; undated blocks are left out
+     */
+    function getMonthlyBurden(blockDetails) {
+        const months = {};
+
+        blockDetails.forEach(block => {
+            if (!block.start || !block.end) return;
+
+            const weekdaysByMonth = {};
+            let weekdays = 0;
+            for (let time = Date.parse(block.start); time <= Date.parse(block.end); time += DAY_MS) {
+                const date = new Date(time);
+                const day = date.getUTCDay();
+                if (day === 0 || day === 6) continue;
+                const month = date.toISOString().slice(0, 7);
+                weekdaysByMonth[month] = (weekdaysByMonth[month] || 0) + 1;
+                weekdays++;
+            }
+
+            Object.entries(weekdaysByMonth).forEach(([month, count]) => {
+                const entry = months[month] || (months[month] = { month, hours: 0, miles: 0, weekdays: 0 });
+                entry.hours += block.totalHours * count / weekdays;
+                entry.miles += block.totalMiles * count / weekdays;
+                entry.weekdays += count;
+            });
+        });
+
+        return Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+    }
+
+    // ============================================================================
+    // Academic Calendar
+    // ============================================================================
+
+    // Calendar.csv Type → what happens to a scheduled commute day
+    const CALENDAR_DAY_TYPES = {
+        holiday: 'off',
+        vacation: 'off',
+        break: 'off',
+        exam: 'campus',
+        'shelf-exam': 'campus'
+    };
+
+    /**
+     * Parse a Calendar.csv Date cell
+     * @param {string} value - "05/25/26" or "11/23/26-11/27/26"
+     * @returns {Object|null} - {start, end} as "YYYY-MM-DD", or null when malformed
+     */
+    function parseCalendarDates(value) {
+        const match = (value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s*-\s*(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4}))?$/);
+        if (!match) return null;
+        const start = toISODate(match[1], match[2], match[3]);
+        const end = match[4] ? toISODate(match[4], match[5], match[6]) : start;
+        return start && end && end >= start ? { start, end } : null;
+    }
+
+    /**
+     * Build the academic calendar from Calendar.csv rows
+     * Rows with a malformed Date or unknown Type are skipped (lint-data.js reports them)
+     * @param {Array<Object>} rows - [{Date, Type, Description, Blocks}]
+     * @returns {Array<Object>} - [{start, end, type, effect, description, blocks}]; blocks
+     *   lists block name fragments the entry is limited to (empty = every block)
+     */
+    function buildCalendar(rows) {
+        const calendar = [];
+        rows.forEach(row => {
+            const dates = parseCalendarDates(row.Date);
+            const type = (row.Type || '').trim().toLowerCase();
+            if (!dates || !CALENDAR_DAY_TYPES[type]) return;
+            calendar.push({
+                ...dates,
+                type,
+                effect: CALENDAR_DAY_TYPES[type],
+                description: (row.Description || '').trim(),
+                blocks: (row.Blocks || '').split(';').map(b => b.trim()).filter(Boolean)
+            });
+        });
+        return calendar;
+    }
+
+    /**
+     * Calendar entry covering a day of a block; the first matching row wins
+     * @returns {Object|null}
+     */
+    function getCalendarDay(calendar, isoDate, blockName) {
+        return calendar.find(entry =>
+            isoDate >= entry.start && isoDate <= entry.end &&
+            (entry.blocks.length === 0 || entry.blocks.some(fragment => blockName.includes(fragment)))
+        ) || null;
+    }
+
+    /**
+     * Count the days of a block visit, by weekday, that are worked at the
+     * site, moved to campus or taken off
+     *
+     * Without dates every scheduled day is worked (days worked every N weeks
+     * count 1/N). With dates, week 1 is the week holding dates.start, a day
+     * worked every N weeks falls in weeks 1, 1 + N, ..., days outside
+     * start-end are not counted (a block cut short by its columns), and
+     * calendar entries move or drop days.
+     *
+     * @param {Object} visit - From getBlockVisits()
+     * @param {string} blockName - Variance.csv block (for entries limited to some blocks)
+     * @param {Object|null} dates - {start, end} of the dated block
+     * @param {Array<Object>} calendar - From buildCalendar()
+     * @returns {Object} - {site: {Mon: n, ...}, campus, off}; counts are weighted by visit.share
+     */
+    function countVisitDays(visit, blockName, dates, calendar) {
+        const counts = { site: {}, campus: 0, off: 0 };
+        visit.dayList.forEach(day => counts.site[day] = 0);
+
+        if (!dates) {
+            visit.dayList.forEach(day => counts.site[day] = visit.weekCount / visit.periods[day]);
+            return counts;
+        }
+
+        listVisitDates(visit, blockName, dates, calendar).forEach(({ day, entry }) => {
+            if (!entry) {
+                counts.site[day] += visit.share;
+            } else if (entry.effect === 'campus') {
+                counts.campus += visit.share;
+            } else {
+                counts.off += visit.share;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Scheduled days of a visit to a dated block, in date order (see countVisitDays)
+     * @returns {Array<Object>} - [{day, isoDate, entry}]; entry is the calendar entry covering the day, or null
+     */
+    function listVisitDates(visit, blockName, dates, calendar) {
+        const start = Date.parse(dates.start);
+        const monday = start - ((new Date(start).getUTCDay() + 6) % 7) * DAY_MS;
+        const spanWeeks = Math.round(visit.weekCount / visit.share);
+        const list = [];
+
+        for (let week = visit.firstWeek; week < visit.firstWeek + spanWeeks; week++) {
+            visit.dayList.forEach(day => {
+                if ((week - 1) % visit.periods[day] !== 0) return;
+                const time = monday + ((week - 1) * 7 + WEEK_DAYS.indexOf(day)) * DAY_MS;
+                const isoDate = new Date(time).toISOString().slice(0, 10);
+                if (isoDate < dates.start || isoDate > dates.end) return;
+                list.push({ day, isoDate, entry: getCalendarDay(calendar, isoDate, blockName) });
+            });
+        }
+        return list;
+    }
+
+    /**
+     * Days of a housed visit with travel: to the housing on its first day
+     * worked, home again on its last
+     *
+     * Dated blocks skip days the calendar takes off and weeks outside the
+     * block's dates; without dates the first and last day of the visit's
+     * week are used.
+     *
+     * @param {Object} visit - From getBlockVisits()
+     * @param {string} blockName - Variance.csv block (for entries limited to some blocks)
+     * @param {Object|null} dates - {start, end} of the dated block
+     * @param {Array<Object>} calendar - From buildCalendar()
+     * @returns {Object|null} - {arrive, leave} weekdays ('Mon', 'Fri'), or null when no day of the visit is worked
+     */
+    function getHousingTravelDays(visit, blockName, dates, calendar) {
+        if (!dates) {
+            return { arrive: visit.dayList[0], leave: visit.dayList[visit.dayList.length - 1] };
+        }
+        const worked = listVisitDates(visit, blockName, dates, calendar).filter(({ entry }) => !entry || entry.effect !== 'off');
+        if (worked.length === 0) return null;
+        return { arrive: worked[0].day, leave: worked[worked.length - 1].day };
+    }
+
+    // ============================================================================
+    // Geometry
+    // ============================================================================
+
+    const haversineDistance = CommuteRouting.haversineDistance;
+
+    /**
+     * Generate the (gridSize + 1)² test points covering the search region
+     * @param {number} gridSize - Cells per side
+     * @param {Object} bounds - {minLat, maxLat, minLng, maxLng}
+     * @returns {Array<Object>} - [{lat, lng}], latitude-major order
+     */
+    function generateGridPoints(gridSize = GRID_SIZE, bounds = SOUTH_FLORIDA_BOUNDS) {
+        const points = [];
+        const latStep = (bounds.maxLat - bounds.minLat) / gridSize;
+        const lngStep = (bounds.maxLng - bounds.minLng) / gridSize;
+
+        for (let i = 0; i <= gridSize; i++) {
+            for (let j = 0; j <= gridSize; j++) {
+                points.push({
+                    lat: bounds.minLat + (i * latStep),
+                    lng: bounds.minLng + (j * lngStep)
+                });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * True for a cancelled calculation (an aborted fetch or a job cancelled by
+     * lib/engine-jobs.js): passed on instead of falling back to straight lines
+     */
+    function isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    function createAbortError() {
+        const error = new Error('Calculation cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Cancellation point for a straight-line grid scan, which makes no
+     * routing requests to abort: call it before each point
+     *
+     * Every SCAN_YIELD_EVERY points it yields to the event loop, so a worker
+     * can receive the cancel message; it throws an AbortError once the
+     * signal has aborted.
+     *
+     * @param {AbortSignal} [signal] - Without one the checkpoint does nothing
+     * @returns {Function} - async () => void
+     */
+    function createScanCheckpoint(signal) {
+        let points = 0;
+        return async () => {
+            if (!signal) return;
+            if (++points % SCAN_YIELD_EVERY === 0) await sleep(0);
+            if (signal.aborted) throw createAbortError();
+        };
+    }
+
+    // Utility: Sleep function
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // ============================================================================
+    // Engine
+    // ============================================================================
+
+    /**
+     * Create an engine bound to one data set
+     *
+     * `locations` and `variance` are read by reference, so objects filled in
+     * after creation (as the page does while loading CSVs) are picked up.
+     *
+     * @param {Object} options
+     * @param {Object} options.locations - { [name]: {lat, lng} }
+     * @param {Object} options.variance - { [blockName]: Variance.csv row }
+     * @param {Object} [options.routingProvider] - See lib/routing-providers.js
+     *        (defaults to the public OSRM server)
+     * @param {Function} [options.fetchJson] - (url) => Promise<json> for the default provider
+     * @param {Array<Object>} [options.calendar] - Holidays, vacation and exam days (see buildCalendar)
+     * @param {Object} [options.traffic] - Rush-hour model from CommuteTraffic.createTrafficModel (default: free flow)
+     * @param {Object} [options.transit] - Planner from CommuteTransit.createTransitPlanner (default: driving only)
+     * @param {Object} [options.tolls] - Gantry model from CommuteTolls.createTollModel (default: no tolls)
+     * @param {boolean} [options.avoidTolls] - Ask the provider for toll-free routes (see supportsTollAvoidance)
+     * @param {Object} [options.detourModel] - Fitted road model for straight-line legs (data/detour-model.json,
+     *        scripts/calibrate-detour.js); default straight-line miles at 30 mph
+     * @param {Object} [options.logger] - console-like {warn, error}
+     */
+    function createCommuteEngine(options) {
+        const locations = options.locations;
+        const variance = options.variance;
+        const calendar = options.calendar || [];
+        const traffic = options.traffic || CommuteTraffic.createTrafficModel();
+        const transit = options.transit || null;
+        const tolls = options.tolls && options.tolls.enabled ? options.tolls : null;
+        const routeOptions = { geometry: Boolean(tolls), avoidTolls: Boolean(options.avoidTolls) };
+        const routingProvider = options.routingProvider ||
+            CommuteRouting.createRoutingProvider({}, { fetchJson: options.fetchJson });
+        const fallbackProvider = options.detourModel
+            ? CommuteRouting.createDetourProvider({ model: options.detourModel })
+            : CommuteRouting.createHaversineProvider();
+        const logger = options.logger || console;
+
+        // Price a route's gantries both ways and drop its geometry
+        function priceTolls(route) {
+            if (!tolls || !route.geometry) return route;
+            const outbound = tolls.getLegTolls(route.geometry);
+            const inbound = tolls.getLegTolls([...route.geometry].reverse());
+            return {
+                distanceMiles: route.distanceMiles,
+                durationHours: route.durationHours,
+                tollCost: outbound.cost,
+                returnTollCost: inbound.cost,
+                gantries: outbound.gantries
+            };
+        }
+
+        // Legs answered so far by source; fallback counts the haversine legs the provider failed
+        const routingStats = createLegTally();
+
+        /**
+         * Get route from the routing provider (falls back to straight-line distance at 30 mph,
+         * or to the fitted detour model when one is loaded)
+         * Every leg carries its source: 'api', 'cache' or 'haversine'; fallback is true
+         * for a straight-line leg standing in for a failed request
+         */
+        async function getRoute(from, to, useApi = true) {
+            if (useApi) {
+                try {
+                    if (routingProvider.requestDelayMs > 0) {
+                        await sleep(routingProvider.requestDelayMs);
+                    }
+                    const route = await routingProvider.route(from, to, routeOptions);
+                    const source = route.source || (routingProvider.name === 'haversine' ? 'haversine' : 'api');
+                    return countLegSource(routingStats, { ...priceTolls(route), source });
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    logger.error(`Routing error (${routingProvider.name}), using a straight-line estimate:`, error.message || error);
+                    const route = await fallbackProvider.route(from, to);
+                    return countLegSource(routingStats, { ...route, source: 'haversine', fallback: true });
+                }
+            }
+
+            return countLegSource(routingStats, { ...(await fallbackProvider.route(from, to)), source: 'haversine' });
+        }
+
+        /**
+         * Calculate the commute burden of a TBD block over its possible sites
+         * Expected values are weighted by each candidate's TBD Weight; the
+         * best and worst case are the cheapest and dearest candidate
+         */
+        async function calculateTBDBlock(blockType, homeCoords, useApi = true, dates = null, mode = 'drive') {
+            // Find all possible locations for this block type
+            const possibleBlocks = Object.keys(variance).filter(key =>
+                key.includes(blockType) && !key.includes(TBD_MARKER)
+            );
+
+            if (possibleBlocks.length === 0) {
+                logger.warn(`Warning: No variance entries found for TBD block type: ${blockType}`);
+                return null;
+            }
+
+            // Sites are routed concurrently; the scheduler paces the requests
+            const results = await Promise.all(possibleBlocks.map(blockName =>
+                calculateBlockCommute(blockName, homeCoords, useApi, dates, mode)));
+            const candidates = [];
+            possibleBlocks.forEach((blockName, i) => {
+                if (results[i]) {
+                    candidates.push({ block: blockName, weight: getTBDWeight(variance[blockName]), result: results[i] });
+                }
+            });
+            if (candidates.length === 0) return null;
+
+            // All-zero weights fall back to equal odds
+            const totalWeight = candidates.reduce((sum, c) => sum + c.weight, 0);
+            candidates.forEach(c => {
+                c.probability = totalWeight > 0 ? c.weight / totalWeight : 1 / candidates.length;
+            });
+
+            const expected = field => candidates.reduce((sum, c) => sum + c.result[field] * c.probability, 0);
+            const byHours = [...candidates].sort((a, b) => a.result.totalHours - b.result.totalHours);
+            const best = byHours[0];
+            const worst = byHours[byHours.length - 1];
+
+            // The block is as long as the track calendar takes it to be (the longest candidate)
+            const weeks = getBlockLength(`${blockType} @ ${TBD_MARKER}`, variance);
+            const lengths = [...new Set(candidates.map(c => c.result.weeks))];
+            if (lengths.length > 1) {
+                logger.warn(`Warning: TBD candidates for ${blockType} differ in Block Length (${lengths.join(', ')} wks); using ${weeks}`);
+            }
+
+            return {
+                totalHours: expected('totalHours'),
+                totalMiles: expected('totalMiles'),
+                freeFlowHours: expected('freeFlowHours'),
+                drivingHours: expected('drivingHours'),
+                transitHours: expected('transitHours'),
+                studyHours: expected('studyHours'),
+                fareCost: expected('fareCost'),
+                tollCost: expected('tollCost'),
+                wednesdayHours: expected('wednesdayHours'),
+                wednesdayMiles: expected('wednesdayMiles'),
+                commuteDays: expected('commuteDays'),
+                campusDays: expected('campusDays'),
+                daysOff: expected('daysOff'),
+                callNights: expected('callNights'),
+                weeks,
+                mode: candidates[0].result.mode,
+                isTBD: true,
+                requiresWednesday: candidates.some(c => c.result.requiresWednesday), // True if any option requires Wednesday
+                ...summarizeLegSources(candidates.map(c => c.result.legSources)),
+                possibleCount: candidates.length,
+                bestCaseHours: best.result.totalHours,
+                bestCaseBlock: best.block,
+                worstCaseHours: worst.result.totalHours,
+                worstCaseBlock: worst.block,
+                candidates: candidates.map(c => ({
+                    block: c.block,
+                    probability: c.probability,
+                    totalHours: c.result.totalHours,
+                    totalMiles: c.result.totalMiles
+                }))
+            };
+        }
+
+        /**
+         * Calculate commute for a single block
+         * @param {string} blockName - Variance.csv block or "<type> @ To Be Determined"
+         * @param {Object} homeCoords - {lat, lng}
+         * @param {boolean} [useApi]
+         * @param {Object} [dates] - {start, end} of the block on the track calendar; applies the
+         *        academic calendar and drops days outside the range. Without dates every
+         *        scheduled weekday of every week is commuted
+         * @param {string} [mode] - 'drive', 'transit' or 'park-ride' (needs options.transit)
+         */
+        async function calculateBlockCommute(blockName, homeCoords, useApi = true, dates = null, mode = 'drive') {
+            // Handle "To Be Determined" blocks by averaging across possible locations
+            if (blockName.includes(TBD_MARKER)) {
+                // Extract the block type (e.g., "Obstetrics and Gynecology Clerkship")
+                const blockType = blockName.split('@')[0].trim();
+                return await calculateTBDBlock(blockType, homeCoords, useApi, dates, mode);
+            }
+
+            const varData = variance[blockName];
+            if (!varData) {
+                logger.warn(`No variance data found for: ${blockName}`);
+                return null;
+            }
+
+            const weeks = parseInt(varData['Block Length (wks)']) || DEFAULT_BLOCK_WEEKS;
+            const visits = getBlockVisits(varData, error =>
+                logger.warn(`Invalid schedule for ${blockName} (${error.message}); splitting weeks evenly`));
+
+            // Wednesday Exception = "y" means NO Wednesday requirement
+            const wednesdayException = varData['Wednesday Exception']?.toLowerCase() === 'y';
+
+            // Morning legs arrive by the shift start; evening legs leave at the shift end
+            // (weekend days use weekend traffic)
+            const shift = traffic.getShift(varData);
+            const morning = (from, to, leg, day) => leg.durationHours * traffic.factor(from, to, shift.start - leg.durationHours, day);
+            const evening = (from, to, leg, delayHours = 0, day) => leg.durationHours * traffic.factor(from, to, shift.end + delayHours, day);
+
+            let totalHours = 0;
+            let totalMiles = 0;
+            let freeFlowHours = 0;
+            let transitHours = 0;
+            let studyHours = 0;
+            let fareCost = 0;
+            let tollCost = 0;
+            let wednesdayHours = 0;
+            let wednesdayMiles = 0;
+            let requiresWednesday = false;
+            let commuteDays = 0;
+            let campusDays = 0;
+            let daysOff = 0;
+            let callNights = 0;
+            const scheduleDetails = [];
+
+            // Every leg the block routes, by source
+            const legTally = createLegTally();
+            async function routeLeg(from, to) {
+                return countLegSource(legTally, await getRoute(from, to, useApi));
+            }
+
+            // Exam days: Home → Campus → Home instead of the site
+            let campusLegs = null;
+            async function getCampusLegs() {
+                if (!campusLegs) {
+                    campusLegs = {
+                        homeToCampus: await routeLeg(homeCoords, NSU_COORDS),
+                        campusToHome: await routeLeg(NSU_COORDS, homeCoords)
+                    };
+                }
+                return campusLegs;
+            }
+
+            // Site round trips by transit or park-and-ride, when a planner is loaded
+            const transitMode = mode !== 'drive' && transit && transit.enabled ? mode : null;
+            async function driveLeg(from, to, departureHour, day) {
+                const leg = await routeLeg(from, to);
+                return {
+                    durationHours: leg.durationHours * traffic.factor(from, to, departureHour, day),
+                    freeFlowHours: leg.durationHours,
+                    distanceMiles: leg.distanceMiles,
+                    tollCost: leg.tollCost || 0
+                };
+            }
+
+            /**
+             * Round trip to a site on one day, heading home at returnHour
+             * By transit when the block's mode has a ride both ways, otherwise by car
+             */
+            async function siteRoundTrip(siteCoords, legs, day, returnHour) {
+                const driven = {
+                    mode: 'drive',
+                    hours: morning(homeCoords, siteCoords, legs.homeToSite, day) +
+                        legs.homeToSite.durationHours * traffic.factor(siteCoords, homeCoords, returnHour, day),
+                    miles: legs.homeToSite.distanceMiles * 2,
+                    freeFlowHours: legs.homeToSite.durationHours * 2,
+                    transitHours: 0,
+                    studyHours: 0,
+                    fare: 0,
+                    tolls: (legs.homeToSite.tollCost || 0) + (legs.homeToSite.returnTollCost || 0)
+                };
+                if (!transitMode) return driven;
+
+                const there = await transit.planTrip(homeCoords, siteCoords, { mode: transitMode, day, arriveBy: shift.start, drive: driveLeg });
+                const back = there && await transit.planTrip(siteCoords, homeCoords, { mode: transitMode, day, departAt: returnHour, drive: driveLeg });
+                if (!back) return driven;
+                return {
+                    mode: transitMode,
+                    hours: there.hours + back.hours,
+                    miles: there.driveMiles + back.driveMiles,
+                    freeFlowHours: there.freeFlowHours + back.freeFlowHours,
+                    transitHours: there.hours - there.driveHours + back.hours - back.driveHours,
+                    studyHours: there.studyHours + back.studyHours,
+                    fare: there.fare + back.fare,
+                    tolls: there.driveTolls + back.driveTolls,
+                    route: there.route
+                };
+            }
+
+            // Each site's legs are routed once per block
+            const legsBySite = {};
+            async function getSiteLegs(siteCoords, needsCampus) {
+                const key = `${siteCoords.lat},${siteCoords.lng}`;
+                const legs = legsBySite[key] || (legsBySite[key] = {
+                    homeToSite: await routeLeg(homeCoords, siteCoords)
+                });
+                if (needsCampus && !legs.siteToCampus) {
+                    legs.siteToCampus = await routeLeg(siteCoords, NSU_COORDS);
+                    legs.campusToHome = await routeLeg(NSU_COORDS, homeCoords);
+                }
+                return legs;
+            }
+
+            for (const visit of visits) {
+                const { dayList } = visit;
+                const detail = {
+                    weeks: visit.weeks,
+                    days: visit.days,
+                    location: visit.location,
+                    siteWeeks: visit.siteWeeks,
+                    firstWeek: visit.firstWeek,
+                    weekSpan: Math.round(visit.weekCount / visit.share),
+                    housed: visit.housed,
+                    hours: 0,
+                    miles: 0,
+                    commuteDays: 0
+                };
+                if (visit.choices.length > 1) {
+                    detail.choices = visit.choices;
+                }
+
+                // Housed without travel: nothing to route
+                if (visit.housed && !visit.travel) {
+                    scheduleDetails.push(detail);
+                    continue;
+                }
+
+                const campusWednesday = !visit.housed && !wednesdayException && dayList.includes('Wed');
+
+                // Site choices: the student takes the one closest to home
+                let legs = null;
+                for (const choice of visit.choices) {
+                    const choiceCoords = locations[choice];
+                    if (!choiceCoords) continue;
+                    const choiceLegs = await getSiteLegs(choiceCoords, campusWednesday);
+                    if (!legs || choiceLegs.homeToSite.durationHours < legs.homeToSite.durationHours) {
+                        detail.location = choice;
+                        legs = choiceLegs;
+                    }
+                }
+                if (!legs) continue;
+                scheduleDetails.push(detail);
+                const siteCoords = locations[detail.location];
+
+                if (visit.housed) {
+                    // One trip to the housing, arriving by the shift start of the first day
+                    // worked, and one home after the shift of the last, in that day's traffic
+                    const travel = getHousingTravelDays(visit, blockName, dates, calendar);
+                    if (!travel) continue;
+                    detail.travelHours = morning(homeCoords, siteCoords, legs.homeToSite, travel.arrive) +
+                        evening(siteCoords, homeCoords, legs.homeToSite, 0, travel.leave);
+                    detail.travelMiles = legs.homeToSite.distanceMiles * 2;
+                    detail.hours = detail.travelHours;
+                    detail.miles = detail.travelMiles;
+                    tollCost += (legs.homeToSite.tollCost || 0) + (legs.homeToSite.returnTollCost || 0);
+                    totalHours += detail.hours;
+                    totalMiles += detail.miles;
+                    freeFlowHours += legs.homeToSite.durationHours * 2;
+                    continue;
+                }
+
+                const days = countVisitDays(visit, blockName, dates, calendar);
+                const siteDays = Object.values(days.site).reduce((sum, n) => sum + n, 0);
+                const wednesdays = campusWednesday ? days.site.Wed : 0;
+                const weekendDays = WEEKEND_DAYS.reduce((sum, day) => sum + (days.site[day] || 0), 0);
+                const normalDays = siteDays - wednesdays - weekendDays;
+
+                // Overnight call: every Nth day worked; the call day and the post-call day
+                // make one weekday round trip, home at the post-call release
+                const calls = visit.call ? Math.min(siteDays / visit.call.every, normalDays / 2) : 0;
+
+                // Regular day: Home → Site → Home
+                const toSiteHours = morning(homeCoords, siteCoords, legs.homeToSite);
+                const dayTripHours = toSiteHours + evening(siteCoords, homeCoords, legs.homeToSite);
+                const trips = normalDays - calls;
+                const addTrips = async (day, returnHour, count) => {
+                    if (count <= 0) return;
+                    const trip = await siteRoundTrip(siteCoords, legs, day, returnHour);
+                    detail.hours += trip.hours * count;
+                    detail.miles += trip.miles * count;
+                    freeFlowHours += trip.freeFlowHours * count;
+                    transitHours += trip.transitHours * count;
+                    studyHours += trip.studyHours * count;
+                    fareCost += trip.fare * count;
+                    tollCost += trip.tolls * count;
+                    if (transitMode) {
+                        detail.mode = trip.mode;
+                        if (trip.route) detail.route = trip.route;
+                        if (trip.mode === 'drive') detail.modeFallback = true;
+                    }
+                };
+
+                // Weekdays share one timetable; post-call trips head home at the release
+                await addTrips('Mon', shift.end, trips - calls);
+                if (calls > 0) {
+                    await addTrips('Mon', visit.call.postCall, calls);
+                    detail.callNights = calls;
+                }
+                for (const day of WEEKEND_DAYS) {
+                    await addTrips(day, shift.end, days.site[day] || 0);
+                }
+                if (weekendDays > 0) {
+                    detail.weekendDays = weekendDays;
+                }
+
+                if (wednesdays > 0) {
+                    // Wednesday: Home → Site → Campus → Home
+                    const toCampusHours = evening(siteCoords, NSU_COORDS, legs.siteToCampus);
+                    const wednesdayTripHours = (toSiteHours + toCampusHours +
+                        evening(NSU_COORDS, homeCoords, legs.campusToHome, legs.siteToCampus.durationHours)) * wednesdays;
+                    const wednesdayTripMiles = (legs.homeToSite.distanceMiles + legs.siteToCampus.distanceMiles + legs.campusToHome.distanceMiles) * wednesdays;
+
+                    // Wednesday burden = difference between the campus trip and a normal day
+                    wednesdayHours += wednesdayTripHours - dayTripHours * wednesdays;
+                    wednesdayMiles += wednesdayTripMiles - legs.homeToSite.distanceMiles * 2 * wednesdays;
+
+                    detail.hours += wednesdayTripHours;
+                    detail.miles += wednesdayTripMiles;
+                    freeFlowHours += (legs.homeToSite.durationHours + legs.siteToCampus.durationHours + legs.campusToHome.durationHours) * wednesdays;
+                    tollCost += ((legs.homeToSite.tollCost || 0) + (legs.siteToCampus.tollCost || 0) + (legs.campusToHome.tollCost || 0)) * wednesdays;
+                    requiresWednesday = true;
+                }
+
+                if (days.campus > 0) {
+                    const { homeToCampus, campusToHome } = await getCampusLegs();
+                    detail.campusDays = days.campus;
+                    detail.hours += (morning(homeCoords, NSU_COORDS, homeToCampus) + evening(NSU_COORDS, homeCoords, campusToHome)) * days.campus;
+                    detail.miles += (homeToCampus.distanceMiles + campusToHome.distanceMiles) * days.campus;
+                    freeFlowHours += (homeToCampus.durationHours + campusToHome.durationHours) * days.campus;
+                    tollCost += ((homeToCampus.tollCost || 0) + (campusToHome.tollCost || 0)) * days.campus;
+                }
+                if (days.off > 0) {
+                    detail.daysOff = days.off;
+                }
+
+                detail.commuteDays = trips + wednesdays + weekendDays + days.campus;
+                // Dates at the site, where the schedule fixes them (carpools pool on these)
+                if (dates && visit.share === 1 && !visit.call) {
+                    detail.siteDates = listVisitDates(visit, blockName, dates, calendar)
+                        .filter(({ entry }) => !entry).map(({ isoDate }) => isoDate);
+                }
+                commuteDays += detail.commuteDays;
+                callNights += calls;
+                campusDays += days.campus;
+                daysOff += days.off;
+                totalHours += detail.hours;
+                totalMiles += detail.miles;
+            }
+
+            return {
+                totalHours,
+                totalMiles,
+                freeFlowHours,
+                drivingHours: totalHours - transitHours,
+                transitHours,
+                studyHours,
+                fareCost,
+                tollCost,
+                mode: transitMode || 'drive',
+                wednesdayHours,
+                wednesdayMiles,
+                shift: { start: CommuteTraffic.formatTime(shift.start), end: CommuteTraffic.formatTime(shift.end) },
+                weeks,
+                commuteDays,
+                campusDays,
+                daysOff,
+                callNights,
+                requiresWednesday,
+                ...summarizeLegSources([legTally]),
+                scheduleDetails
+            };
+        }
+
+        /**
+         * Calculate full track commute
+         * Blocks and the track carry legSources, fallbackLegs and confidence (see
+         * summarizeLegSources); fallbackBlocks counts blocks with straight-line fallback legs
+         * @param {Object} trackData - Tracks.csv row
+         * @param {Object} homeCoords - {lat, lng}
+         * @param {boolean} [useApi]
+         * @param {Object} [modes] - { [block name]: 'transit' | 'park-ride' }; other blocks are driven
+         */
+        async function calculateTrackCommute(trackData, homeCoords, useApi = true, modes = {}) {
+            let totalHours = 0;
+            let totalMiles = 0;
+            let totalWeeks = 0;
+            let commuteDays = 0;
+            let freeFlowHours = 0;
+            let transitHours = 0;
+            let studyHours = 0;
+            let fareCost = 0;
+            let tollCost = 0;
+            let bestCaseHours = 0;
+            let worstCaseHours = 0;
+            const blockDetails = [];
+
+            // Dated blocks count their actual days (calendar applied); undated ones are scaled
+            const trackBlocks = getTrackBlocks(trackData, variance);
+            const blockDates = trackBlocks.map(trackBlock => trackBlock.start ? { start: trackBlock.start, end: trackBlock.end } : null);
+
+            // Blocks are routed concurrently (the scheduler paces the requests) and added up in track order
+            const results = await Promise.all(trackBlocks.map((trackBlock, i) =>
+                calculateBlockCommute(trackBlock.block, homeCoords, useApi, blockDates[i], modes[trackBlock.block])));
+
+            trackBlocks.forEach((trackBlock, i) => {
+                const result = results[i];
+                if (!result) return;
+                const dates = blockDates[i];
+
+                // Charge only the weeks the block's columns actually cover
+                const weeks = Math.min(trackBlock.weeks, result.weeks);
+                const blockCommute = dates ? result : scaleBlockCommute(result, weeks / result.weeks);
+                totalHours += blockCommute.totalHours;
+                totalMiles += blockCommute.totalMiles;
+                totalWeeks += weeks;
+                commuteDays += blockCommute.commuteDays;
+                freeFlowHours += blockCommute.freeFlowHours;
+                transitHours += blockCommute.transitHours;
+                studyHours += blockCommute.studyHours;
+                fareCost += blockCommute.fareCost;
+                tollCost += blockCommute.tollCost;
+                bestCaseHours += blockCommute.isTBD ? blockCommute.bestCaseHours : blockCommute.totalHours;
+                worstCaseHours += blockCommute.isTBD ? blockCommute.worstCaseHours : blockCommute.totalHours;
+                blockDetails.push({
+                    ...blockCommute,
+                    month: trackBlock.month,
+                    block: trackBlock.block,
+                    columns: trackBlock.columns,
+                    start: trackBlock.start,
+                    end: trackBlock.end,
+                    calendarWeeks: trackBlock.calendarWeeks,
+                    weeks
+                });
+            });
+
+            // Expected hours plus the spread TBD blocks add
+            return {
+                totalHours,
+                totalMiles,
+                totalWeeks,
+                commuteDays,
+                freeFlowHours,
+                drivingHours: totalHours - transitHours,
+                transitHours,
+                studyHours,
+                fareCost,
+                tollCost,
+                bestCaseHours,
+                worstCaseHours,
+                blockDetails,
+                monthlyBurden: getMonthlyBurden(blockDetails),
+                ...summarizeLegSources(blockDetails.map(block => block.legSources)),
+                fallbackBlocks: blockDetails.filter(block => block.fallbackLegs > 0).length
+            };
+        }
+
+        /**
+         * Commute to a fixed daily destination (a partner's job, a non-NSU program)
+         * Round trips on the first daysPerWeek days from Monday (a sixth and seventh day are the
+         * weekend), arriving by the shift start and leaving at its end in that day's traffic
+         * @param {Object} destination - {lat, lng}
+         * @param {Object} homeCoords - {lat, lng}
+         * @param {boolean} [useApi]
+         * @param {Object} [schedule] - {daysPerWeek (5), weeks (48), start, end ("HH:MM"; blank = defaultShift)}
+         * @returns {Object} - {totalHours, totalMiles, freeFlowHours, totalWeeks, commuteDays,
+         *          legSources, fallbackLegs, confidence}
+         */
+        async function calculateFixedCommute(destination, homeCoords, useApi = true, schedule = {}) {
+            const daysPerWeek = schedule.daysPerWeek === undefined ? 5 : schedule.daysPerWeek;
+            const weeks = schedule.weeks === undefined ? 48 : schedule.weeks;
+            const shift = traffic.getShift({ 'Shift Start': schedule.start, 'Shift End': schedule.end });
+            const [there, back] = await Promise.all([
+                getRoute(homeCoords, destination, useApi),
+                getRoute(destination, homeCoords, useApi)
+            ]);
+            const days = daysPerWeek * weeks;
+            const legTally = createLegTally();
+            [there, back].forEach(leg => countLegSource(legTally, leg));
+
+            // A fractional last day (4.5 days a week) counts in part
+            const weekHours = WEEK_DAYS.reduce((sum, day, i) => sum + Math.max(0, Math.min(1, daysPerWeek - i)) *
+                (there.durationHours * traffic.factor(homeCoords, destination, shift.start - there.durationHours, day) +
+                back.durationHours * traffic.factor(destination, homeCoords, shift.end, day)), 0);
+            return {
+                totalHours: weekHours * weeks,
+                totalMiles: (there.distanceMiles + back.distanceMiles) * days,
+                freeFlowHours: (there.durationHours + back.durationHours) * days,
+                totalWeeks: weeks,
+                commuteDays: days,
+                ...summarizeLegSources([legTally])
+            };
+        }
+
+        /**
+         * Find optimal home location for a track
+         * Phase 1: quick straight-line scan of the grid
+         * Phase 2: refine the best candidates with real routes
+         * @param {Object} trackData - Tracks.csv row
+         * @param {Object} [searchOptions] - {gridSize, bounds, refineCount, log, signal (stops the scan)}
+         * @returns {Object} - {lat, lng}
+         */
+        async function findOptimalLocation(trackData, searchOptions = {}) {
+            const gridSize = searchOptions.gridSize || GRID_SIZE;
+            const bounds = searchOptions.bounds || SOUTH_FLORIDA_BOUNDS;
+            const refineCount = searchOptions.refineCount || 5;
+            const log = searchOptions.log || (() => {});
+            const checkpoint = createScanCheckpoint(searchOptions.signal);
+
+            const testPoints = generateGridPoints(gridSize, bounds);
+            const candidates = [];
+
+            log(`Phase 1: Scanning ${testPoints.length} grid points...`);
+            for (const testCoords of testPoints) {
+                await checkpoint();
+                try {
+                    const result = await calculateTrackCommute(trackData, testCoords, false);
+                    candidates.push({ coords: testCoords, hours: result.totalHours });
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    logger.error('Error testing location:', error.message);
+                }
+            }
+
+            candidates.sort((a, b) => a.hours - b.hours);
+
+            log(`Phase 2: Refining top ${refineCount} candidates with API...`);
+            let bestLocation = null;
+            let minTotalHours = Infinity;
+
+            const topCandidates = candidates.slice(0, refineCount);
+
+            const refined = await Promise.all(topCandidates.map(candidate =>
+                calculateTrackCommute(trackData, candidate.coords, true).catch(e => {
+                    if (isAbortError(e)) throw e;
+                    logger.error('Verification failed for candidate:', e.message);
+                    return null;
+                })));
+            refined.forEach((result, i) => {
+                if (result && result.totalHours < minTotalHours) {
+                    minTotalHours = result.totalHours;
+                    bestLocation = topCandidates[i].coords;
+                }
+            });
+
+            return bestLocation || topCandidates[0].coords;
+        }
+
+        return {
+            locations,
+            variance,
+            traffic,
+            routingProvider,
+            getRoute,
+            calculateTBDBlock,
+            calculateBlockCommute,
+            calculateTrackCommute,
+            calculateFixedCommute,
+            findOptimalLocation,
+            /** Legs routed so far by source: {api, cache, haversine, fallback} */
+            getRoutingStats: () => ({ ...routingStats })
+        };
+    }
+
+    return {
+        NSU_COORDS,
+        SOUTH_FLORIDA_BOUNDS,
+        GRID_SIZE,
+        API_DELAY_MS,
+        LEG_SOURCES,
+        FALLBACK_SPEED_MPH,
+        DEFAULT_BLOCK_WEEKS,
+        TBD_MARKER,
+        CALENDAR_DAY_TYPES,
+        TRACK_NAME_COLUMN,
+        TBD_WEIGHT_COLUMN,
+        DAYS_WORKED_COLUMN,
+        CALL_COLUMN,
+        WEEKDAYS,
+        WEEK_DAYS,
+        parseCSV,
+        buildLocations,
+        buildTracks,
+        buildVariance,
+        parseDaysWorked,
+        parseCall,
+        parseBlockSchedule,
+        getBlockVisits,
+        getTBDWeight,
+        getTrackColumns,
+        getUniqueRotations,
+        getUniqueTrackBlocks,
+        parseTrackColumn,
+        getBlockLength,
+        getTrackBlocks,
+        scaleBlockCommute,
+        summarizeLegSources,
+        buildCalendar,
+        parseCalendarDates,
+        getMonthlyBurden,
+        haversineDistance,
+        generateGridPoints,
+        isAbortError,
+        createAbortError,
+        createScanCheckpoint,
+        sleep,
+        createCommuteEngine
+    };
+});
@@ -0,0 +1,329 @@
+/**
+ * Data Lint
+ *
+ * Checks the parsed rows of Locations.csv, Tracks.csv, Variance.csv and the
+ * optional Calendar.csv and Tolls.csv for
+ * problems the commute engine would otherwise skip or paper over:
+ * unknown locations and blocks, duplicates, bad coordinates, sites outside
+ * the search region, malformed block lengths, schedules and TBD weights,
+ * and stray whitespace.
+ *
+ * Rows must be parsed without trimming (parseCSV(text, {trim: false}) in
+ * Node, PapaParse in the browser). Row numbers are CSV line numbers, with
+ * the header on row 1.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteDataLint`
+ * in the browser (after lib/commute-engine.js, lib/traffic.js and lib/tolls.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./commute-engine'), require('./traffic'), require('./tolls'));
+    } else {
+        root.CommuteDataLint = factory(root.CommuteEngine, root.CommuteTraffic, root.CommuteTolls);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteEngine, CommuteTraffic, CommuteTolls) {
+    'use strict';
+
+    const { SOUTH_FLORIDA_BOUNDS, TBD_MARKER, TBD_WEIGHT_COLUMN, TRACK_NAME_COLUMN } = CommuteEngine;
+    const WEDNESDAY_EXCEPTION_VALUES = ['', 'y', 'n'];
+
+    // Header is row 1, so the first data row is row 2
+    function rowNumber(index) {
+        return index + 2;
+    }
+
+    function text(value) {
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    function hasStraySpaces(value) {
+        return text(value) !== text(value).trim();
+    }
+
+    function isInRegion(coords) {
+        return coords.lat >= SOUTH_FLORIDA_BOUNDS.minLat && coords.lat <= SOUTH_FLORIDA_BOUNDS.maxLat &&
+               coords.lng >= SOUTH_FLORIDA_BOUNDS.minLng && coords.lng <= SOUTH_FLORIDA_BOUNDS.maxLng;
+    }
+
+    /**
+     * Parse a "lat, lng" cell the way buildLocations() does
+     * @returns {Object|null} - {lat, lng}, or null when malformed
+     */
+    function parseCoordinates(value) {
+        const parts = text(value).replace(/"/g, '').split(',').map(s => s.trim());
+        if (parts.length !== 2 || parts.some(p => p === '' || isNaN(Number(p)))) {
+            return null;
+        }
+        const [lat, lng] = parts.map(Number);
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+        return { lat, lng };
+    }
+
+    /**
+     * Lint the three data files
+     * @param {Object} rows - {locations, tracks, variance, calendar, tolls}: untrimmed parsed rows of each CSV
+     * @returns {Object} - {issues, errors, warnings}; each issue is {severity, file, row, message}
+     */
+    function lintData(rows) {
+        const issues = [];
+        const report = (severity, file, index, message) => {
+            issues.push({ severity, file, row: index === null ? null : rowNumber(index), message });
+        };
+
+        // ---- Locations.csv ----
+        const locationRows = rows.locations || [];
+        const locationFirstRow = {};
+        const outOfRegionLocations = new Set();
+
+        locationRows.forEach((row, index) => {
+            const rawName = text(row.Locations);
+            const name = rawName.trim();
+
+            if (!name) {
+                report('error', 'Locations.csv', index, 'Missing location name');
+                return;
+            }
+            if (hasStraySpaces(rawName)) {
+                report('warning', 'Locations.csv', index, `Location name "${rawName}" has leading/trailing spaces`);
+            }
+            if (name in locationFirstRow) {
+                report('error', 'Locations.csv', index,
+                    `Duplicate location "${name}" (first defined on row ${rowNumber(locationFirstRow[name])})`);
+            } else {
+                locationFirstRow[name] = index;
+            }
+
+            const coords = parseCoordinates(row.Coordinates);
+            if (!coords) {
+                report('error', 'Locations.csv', index, `Bad coordinates "${text(row.Coordinates)}" for "${name}"`);
+            } else if (!isInRegion(coords)) {
+                outOfRegionLocations.add(name);
+                report('warning', 'Locations.csv', index,
+                    `"${name}" (${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}) is outside the South Florida search region`);
+            }
+        });
+
+        // NSU campus is built in, not listed in Locations.csv
+        const knownLocations = new Set([...Object.keys(locationFirstRow), 'NSU']);
+
+        // ---- Variance.csv ----
+        const varianceRows = rows.variance || [];
+        const blockFirstRow = {};
+
+        varianceRows.forEach((row, index) => {
+            const rawBlock = text(row.Block);
+            const block = rawBlock.trim();
+
+            if (!block) {
+                report('error', 'Variance.csv', index, 'Missing block name');
+                return;
+            }
+            if (hasStraySpaces(rawBlock)) {
+                report('warning', 'Variance.csv', index, `Block name "${rawBlock}" has leading/trailing spaces`);
+            }
+
+            if (block in blockFirstRow) {
+                const first = varianceRows[blockFirstRow[block]];
+                const identical = Object.keys(row).every(key => text(row[key]).trim() === text(first[key]).trim());
+                report(identical ? 'warning' : 'error', 'Variance.csv', index, identical
+                    ? `Duplicate block "${block}" repeats row ${rowNumber(blockFirstRow[block])}`
+                    : `Duplicate block "${block}" conflicts with row ${rowNumber(blockFirstRow[block])} (this row wins)`);
+            } else {
+                blockFirstRow[block] = index;
+            }
+
+            const blockLocations = text(row.Locations).split(',').map(l => l.trim()).filter(Boolean);
+            if (blockLocations.length === 0) {
+                report('error', 'Variance.csv', index, `Block "${block}" lists no locations`);
+            }
+            blockLocations.forEach(loc => {
+                if (!knownLocations.has(loc)) {
+                    report('error', 'Variance.csv', index, `Unknown location "${loc}" in block "${block}" (not in Locations.csv)`);
+                }
+            });
+
+            const length = text(row['Block Length (wks)']).trim();
+            if (length === '') {
+                report('warning', 'Variance.csv', index, `Block "${block}" has no block length (defaults to 4 weeks)`);
+            } else if (!/^\d+$/.test(length) || parseInt(length, 10) === 0) {
+                report('error', 'Variance.csv', index, `Malformed block length "${length}" for "${block}" (expected whole weeks)`);
+            }
+
+            try {
+                const schedule = CommuteEngine.parseBlockSchedule(row);
+                const scheduleSites = new Set();
+                const commutedSites = new Set();
+                schedule.segments.forEach(segment => Object.values(segment.days).forEach(entry => {
+                    entry.choices.forEach(site => {
+                        scheduleSites.add(site);
+                        if (!entry.housed) commutedSites.add(site);
+                    });
+                }));
+                scheduleSites.forEach(site => {
+                    // Sites from the Locations column were reported above
+                    if (!knownLocations.has(site) && !blockLocations.includes(site)) {
+                        report('error', 'Variance.csv', index, `Unknown location "${site}" in the schedule of "${block}"`);
+                    }
+                });
+                commutedSites.forEach(site => {
+                    if (outOfRegionLocations.has(site)) {
+                        report('warning', 'Variance.csv', index,
+                            `"${block}" commutes daily to out-of-region site "${site}" (mark the weeks "(housed)" if students relocate)`);
+                    }
+                });
+            } catch (error) {
+                report('error', 'Variance.csv', index, `Malformed schedule for "${block}": ${error.message}`);
+            }
+
+            const weight = text(row[TBD_WEIGHT_COLUMN]).trim();
+            if (weight !== '' && !(Number(weight) >= 0)) {
+                report('error', 'Variance.csv', index, `Malformed ${TBD_WEIGHT_COLUMN} "${weight}" for "${block}" (expected a number of 0 or more)`);
+            }
+
+            ['Shift Start', 'Shift End'].forEach(column => {
+                const time = text(row[column]).trim();
+                if (time !== '' && CommuteTraffic.parseTime(time) === null) {
+                    report('error', 'Variance.csv', index, `Malformed ${column} "${time}" for "${block}" (expected HH:MM, 24-hour)`);
+                }
+            });
+
+            const wednesday = text(row['Wednesday Exception']).trim().toLowerCase();
+            if (!WEDNESDAY_EXCEPTION_VALUES.includes(wednesday)) {
+                report('warning', 'Variance.csv', index,
+                    `Wednesday Exception "${text(row['Wednesday Exception'])}" for "${block}" is not y or n (treated as n)`);
+            }
+        });
+
+        const knownBlocks = Object.keys(blockFirstRow);
+
+        // ---- Tracks.csv ----
+        const trackRows = rows.tracks || [];
+        const trackFirstRow = {};
+
+        // Column headers carry the calendar: "Apr-26 (03/30/26-04/24/26)"
+        const trackColumns = trackRows.length > 0 ? CommuteEngine.getTrackColumns(trackRows[0]).map(CommuteEngine.parseTrackColumn) : [];
+        trackColumns.forEach((column, i) => {
+            if (column.invalid) {
+                report('error', 'Tracks.csv', null, `Column "${column.header}" has a malformed date range (expected MM/DD/YY-MM/DD/YY)`);
+            } else if (!column.start) {
+                report('warning', 'Tracks.csv', null, `Column "${column.header}" has no date range (counted as ${CommuteEngine.DEFAULT_BLOCK_WEEKS} weeks)`);
+            }
+            const previous = trackColumns.slice(0, i).reverse().find(c => c.end);
+            if (column.start && previous && column.start <= previous.end) {
+                report('error', 'Tracks.csv', null, `Column "${column.header}" starts before "${previous.header}" ends`);
+            }
+        });
+        const variance = {};
+        varianceRows.forEach(row => {
+            if (text(row.Block).trim()) variance[text(row.Block).trim()] = row;
+        });
+
+        trackRows.forEach((row, index) => {
+            const trackName = text(row[TRACK_NAME_COLUMN]).trim();
+            if (!trackName) return; // Blank rows are ignored by buildTracks()
+
+            if (trackName in trackFirstRow) {
+                report('error', 'Tracks.csv', index,
+                    `Duplicate track "${trackName}" (first defined on row ${rowNumber(trackFirstRow[trackName])})`);
+            } else {
+                trackFirstRow[trackName] = index;
+            }
+
+            Object.keys(row).filter(col => col !== TRACK_NAME_COLUMN).forEach(col => {
+                const blockName = text(row[col]).trim();
+                if (!blockName) return;
+
+                if (blockName.includes(TBD_MARKER)) {
+                    const blockType = blockName.split('@')[0].trim();
+                    const candidates = knownBlocks.filter(key => key.includes(blockType) && !key.includes(TBD_MARKER));
+                    if (candidates.length === 0) {
+                        report('error', 'Tracks.csv', index,
+                            `${trackName}, ${col}: no Variance.csv blocks match TBD block type "${blockType}"`);
+                    }
+                } else if (!(blockName in blockFirstRow)) {
+                    report('error', 'Tracks.csv', index,
+                        `${trackName}, ${col}: unknown block "${blockName}" (not in Variance.csv)`);
+                }
+            });
+
+            const trimmedRow = {};
+            Object.keys(row).forEach(col => { trimmedRow[col] = text(row[col]).trim(); });
+            CommuteEngine.getTrackBlocks(trimmedRow, variance).forEach(trackBlock => {
+                if (trackBlock.calendarWeeks < trackBlock.blockWeeks) {
+                    report('warning', 'Tracks.csv', index,
+                        `${trackName}, ${trackBlock.month}: ${trackBlock.blockWeeks}-week block "${trackBlock.block}" only has ${trackBlock.calendarWeeks} weeks of columns (charged pro rata)`);
+                }
+            });
+        });
+
+        // ---- Calendar.csv (optional) ----
+        (rows.calendar || []).forEach((row, index) => {
+            const dates = text(row.Date).trim();
+            const type = text(row.Type).trim().toLowerCase();
+            if (!CommuteEngine.parseCalendarDates(dates)) {
+                report('error', 'Calendar.csv', index, `Malformed date "${dates}" (expected MM/DD/YY or MM/DD/YY-MM/DD/YY)`);
+            }
+            if (!CommuteEngine.CALENDAR_DAY_TYPES[type]) {
+                report('error', 'Calendar.csv', index,
+                    `Unknown type "${text(row.Type)}" (expected ${Object.keys(CommuteEngine.CALENDAR_DAY_TYPES).join(', ')})`);
+            }
+            text(row.Blocks).split(';').map(b => b.trim()).filter(Boolean).forEach(fragment => {
+                if (!knownBlocks.some(block => block.includes(fragment))) {
+                    report('warning', 'Calendar.csv', index, `Blocks entry "${fragment}" matches no Variance.csv block`);
+                }
+            });
+        });
+
+        // ---- Tolls.csv (optional) ----
+        const gantryFirstRow = {};
+        (rows.tolls || []).forEach((row, index) => {
+            const name = text(row.Gantry).trim();
+            if (!name) {
+                report('error', 'Tolls.csv', index, 'Missing gantry name');
+            } else if (name in gantryFirstRow) {
+                report('warning', 'Tolls.csv', index,
+                    `Duplicate gantry "${name}" (first defined on row ${rowNumber(gantryFirstRow[name])})`);
+            } else {
+                gantryFirstRow[name] = index;
+            }
+
+            const coords = parseCoordinates(row.Coordinates);
+            if (!coords) {
+                report('error', 'Tolls.csv', index, `Bad coordinates "${text(row.Coordinates)}" for "${name}"`);
+            } else if (!isInRegion(coords)) {
+                report('warning', 'Tolls.csv', index,
+                    `"${name}" (${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}) is outside the South Florida search region`);
+            }
+            if (!CommuteTolls.parseDirection(row.Direction)) {
+                report('error', 'Tolls.csv', index,
+                    `Unknown direction "${text(row.Direction)}" (expected ${Object.keys(CommuteTolls.DIRECTIONS).join(', ')} or blank)`);
+            }
+            const rate = Number(text(row['SunPass Rate']).trim());
+            if (text(row['SunPass Rate']).trim() === '' || isNaN(rate) || rate < 0) {
+                report('error', 'Tolls.csv', index, `Bad SunPass Rate "${text(row['SunPass Rate'])}" for "${name}"`);
+            }
+        });
+
+        return {
+            issues,
+            errors: issues.filter(issue => issue.severity === 'error'),
+            warnings: issues.filter(issue => issue.severity === 'warning')
+        };
+    }
+
+    /**
+     * Format an issue as one line, e.g. 'Variance.csv row 28: Duplicate block ...'
+     */
+    function formatIssue(issue) {
+        const where = issue.row === null ? issue.file : `${issue.file} row ${issue.row}`;
+        return `${where}: ${issue.message}`;
+    }
+
+    return {
+        lintData,
+        formatIssue
+    };
+});
@@ -0,0 +1,143 @@
+/**
+ * Detour Model Fitting (Node only)
+ *
+ * Fits the road model behind the engine's straight-line legs (the Phase 1
+ * grid scan, useApi = false and fallback legs) from real routes, for
+ * scripts/calibrate-detour.js:
+ *
+ *   bands - per straight-line distance band, a detour factor (road miles ÷
+ *           straight-line miles) and an average speed (road miles ÷ hours)
+ *   sites - per rotation site with enough legs, distance and time factors
+ *           over the band estimate (water, the Everglades and the I-95
+ *           corridor bend routes to some sites more than the region)
+ *
+ * Factors are ratios of sums, so long legs weigh more than short ones.
+ * Bands with fewer than minLegs legs borrow the nearest fitted band (or
+ * the fit of all legs); sites with fewer are left out.
+ *
+ * The fitted model is applied by CommuteRouting.estimateDetourLeg().
+ */
+
+const CommuteRouting = require('./routing-providers');
+
+const DISTANCE_BANDS = [3, 6, 10, 15, 25, null]; // Upper edges in straight-line miles; null = beyond
+const DEFAULT_MIN_LEGS = 10;
+const MIN_STRAIGHT_MILES = 0.1; // Shorter legs (a site to itself) say nothing about detours
+
+function round(value, places = 4) {
+    return Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+}
+
+// Detour factor and speed of a set of legs
+function fitLegs(legs) {
+    const straightMiles = legs.reduce((sum, leg) => sum + leg.straightMiles, 0);
+    const roadMiles = legs.reduce((sum, leg) => sum + leg.distanceMiles, 0);
+    const hours = legs.reduce((sum, leg) => sum + leg.durationHours, 0);
+    return {
+        detourFactor: round(roadMiles / straightMiles),
+        speedMph: round(hours > 0 ? roadMiles / hours : CommuteRouting.FALLBACK_SPEED_MPH, 2)
+    };
+}
+
+/**
+ * Fit a detour model
+ * @param {Array<Object>} routes - Real routes [{from, to, distanceMiles, durationHours}] (route cache list())
+ * @param {Array<Object>} sites - Candidate sites [{name, lat, lng}] (locations and campus)
+ * @param {Object} [options] - {minLegs (10), provider (recorded in the model)}
+ * @returns {Object} - {fitted, provider, legs, bands: [{maxMiles, legs, detourFactor, speedMph, borrowed}],
+ *          sites: [{name, lat, lng, legs, distanceFactor, timeFactor}]}
+ */
+function fitDetourModel(routes, sites, options = {}) {
+    const minLegs = options.minLegs || DEFAULT_MIN_LEGS;
+    const legs = routes
+        .map(route => ({ ...route, straightMiles: CommuteRouting.haversineDistance(route.from, route.to) }))
+        .filter(leg => leg.straightMiles >= MIN_STRAIGHT_MILES && leg.distanceMiles > 0 && leg.durationHours > 0);
+    if (legs.length < minLegs) {
+        throw new Error(`Only ${legs.length} usable routes (at least ${minLegs} needed)`);
+    }
+
+    let lowerMiles = 0;
+    const fits = DISTANCE_BANDS.map(maxMiles => {
+        const bandLegs = legs.filter(leg => leg.straightMiles > lowerMiles && (maxMiles === null || leg.straightMiles <= maxMiles));
+        lowerMiles = maxMiles;
+        return { maxMiles, legs: bandLegs.length, fit: bandLegs.length >= minLegs ? fitLegs(bandLegs) : null };
+    });
+
+    // Thin bands borrow the nearest fitted band (short legs drive slower than the pooled average)
+    const pooled = fitLegs(legs);
+    const bands = fits.map((band, idx) => {
+        if (band.fit) {
+            return { maxMiles: band.maxMiles, legs: band.legs, ...band.fit, borrowed: false };
+        }
+        const nearest = fits
+            .map((other, otherIdx) => ({ fit: other.fit, distance: Math.abs(otherIdx - idx) }))
+            .filter(other => other.fit)
+            .sort((a, b) => a.distance - b.distance)[0];
+        return { maxMiles: band.maxMiles, legs: band.legs, ...(nearest ? nearest.fit : pooled), borrowed: true };
+    });
+
+    // Site factors over the band-only estimate
+    const bandModel = { bands, sites: [] };
+    const siteKey = coords => `${coords.lat.toFixed(4)},${coords.lng.toFixed(4)}`;
+    const fittedSites = [];
+    sites.forEach(site => {
+        const key = siteKey(site);
+        if (fittedSites.some(fitted => siteKey(fitted) === key)) return;
+        const siteLegs = legs.filter(leg => siteKey(leg.from) === key || siteKey(leg.to) === key);
+        if (siteLegs.length < minLegs) return;
+
+        let estimatedMiles = 0;
+        let estimatedHours = 0;
+        siteLegs.forEach(leg => {
+            const estimate = CommuteRouting.estimateDetourLeg(bandModel, leg.from, leg.to);
+            estimatedMiles += estimate.distanceMiles;
+            estimatedHours += estimate.durationHours;
+        });
+        fittedSites.push({
+            name: site.name,
+            lat: site.lat,
+            lng: site.lng,
+            legs: siteLegs.length,
+            distanceFactor: round(siteLegs.reduce((sum, leg) => sum + leg.distanceMiles, 0) / estimatedMiles),
+            timeFactor: round(siteLegs.reduce((sum, leg) => sum + leg.durationHours, 0) / estimatedHours)
+        });
+    });
+
+    return {
+        fitted: new Date().toISOString(),
+        provider: options.provider || null,
+        legs: legs.length,
+        bands,
+        sites: fittedSites
+    };
+}
+
+/**
+ * Mean absolute percentage error of leg hours against real routes
+ * @param {Function} estimate - (from, to) => {distanceMiles, durationHours}
+ * @param {Array<Object>} routes - [{from, to, distanceMiles, durationHours}]
+ * @returns {Object} - {hours, miles}: errors in percent
+ */
+function scoreEstimates(estimate, routes) {
+    let hoursError = 0;
+    let milesError = 0;
+    let count = 0;
+    routes.forEach(route => {
+        if (CommuteRouting.haversineDistance(route.from, route.to) < MIN_STRAIGHT_MILES || route.durationHours <= 0) return;
+        const leg = estimate(route.from, route.to);
+        hoursError += Math.abs(leg.durationHours - route.durationHours) / route.durationHours;
+        milesError += Math.abs(leg.distanceMiles - route.distanceMiles) / route.distanceMiles;
+        count++;
+    });
+    return {
+        hours: count > 0 ? hoursError / count * 100 : 0,
+        miles: count > 0 ? milesError / count * 100 : 0
+    };
+}
+
+module.exports = {
+    DISTANCE_BANDS,
+    DEFAULT_MIN_LEGS,
+    fitDetourModel,
+    scoreEstimates
+};
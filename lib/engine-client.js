@@ -0,0 +1,186 @@
+/**
+ * Engine Client
+ *
+ * The page's handle on lib/engine-worker.js: one job at a time, with
+ * progress and partial results passed to callbacks and a promise for the
+ * result.
+ *
+ * Starting a job cancels the one in flight, whose promise rejects at once
+ * with an AbortError; its late messages are ignored. A cancelled job that
+ * has not stopped within CANCEL_GRACE_MS (a stuck calculation) is ended
+ * with its worker, and a fresh worker takes over.
+ *
+ * Where workers are unavailable (e.g. index.html opened from disk), jobs
+ * run on the page with lib/engine-jobs.js: same results and cancellation,
+ * but the page is busy while they run.
+ *
+ * Loads as the global `CommuteEngineClient` in the browser (after
+ * lib/engine-jobs.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine-jobs'));
+    } else {
+        root.CommuteEngineClient = factory(root.CommuteEngineJobs);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteEngineJobs) {
+    'use strict';
+
+    const DEFAULT_WORKER_URL = './lib/engine-worker.js';
+    const CANCEL_GRACE_MS = 3000;
+
+    /**
+     * Create a client for one set of engine inputs
+     * @param {Object} inputs - Engine inputs (see lib/engine-jobs.js)
+     * @param {Object} [options] - {workerUrl, logger}
+     * @returns {Object} - {run(job, args, callbacks), cancel(), terminate()}
+     */
+    function createEngineClient(inputs, options = {}) {
+        const workerUrl = options.workerUrl || DEFAULT_WORKER_URL;
+        const logger = options.logger || console;
+        let worker = null;
+        let workerHeard = false; // Any message yet; a worker failing before one falls back to the page
+        let localEngines = null;
+        let localQueue = Promise.resolve();
+        let nextId = 1;
+        let current = null; // {id, job, args, callbacks, resolve, reject, controller}
+        const stopping = new Map(); // Cancelled worker job id → grace timer
+
+        function startWorker() {
+            if (typeof Worker === 'undefined') return false;
+            try {
+                worker = new Worker(workerUrl);
+            } catch (error) {
+                logger.warn('Web Worker unavailable, calculating on the page:', error.message);
+                worker = null;
+                return false;
+            }
+            workerHeard = false;
+            worker.onmessage = event => {
+                workerHeard = true;
+                handleMessage(event.data);
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                const message = event.message || 'Worker failed';
+                worker.terminate();
+                worker = null;
+                if (!workerHeard) {
+                    logger.warn('Web Worker failed to start, calculating on the page:', message);
+                    if (current) runLocal(current);
+                } else if (current) {
+                    settle(current, 'reject', new Error(message));
+                }
+            };
+            worker.postMessage({ type: 'init', inputs });
+            return true;
+        }
+
+        function settle(entry, outcome, value) {
+            if (current !== entry) return;
+            current = null;
+            if (outcome === 'resolve') entry.resolve(value);
+            else entry.reject(value);
+        }
+
+        function handleMessage(message) {
+            if (stopping.has(message.id) && ['result', 'error', 'cancelled'].includes(message.type)) {
+                clearTimeout(stopping.get(message.id));
+                stopping.delete(message.id);
+                return;
+            }
+            if (message.id === null && current) {
+                settle(current, 'reject', new Error(message.message));
+                return;
+            }
+            if (!current || message.id !== current.id) return;
+
+            const callbacks = current.callbacks;
+            if (message.type === 'progress' && callbacks.onProgress) callbacks.onProgress(message.message);
+            else if (message.type === 'partial' && callbacks.onPartial) callbacks.onPartial(message.value);
+            else if (message.type === 'result') settle(current, 'resolve', message.result);
+            else if (message.type === 'error') settle(current, 'reject', new Error(message.message));
+            else if (message.type === 'cancelled') settle(current, 'reject', CommuteEngineJobs.createAbortError());
+        }
+
+        // A cancelled job that will not stop: end its worker, resend the job now waiting behind it
+        function restartWorker() {
+            stopping.forEach(timer => clearTimeout(timer));
+            stopping.clear();
+            if (worker) worker.terminate();
+            logger.warn('Cancelled calculation did not stop, restarting the worker');
+            if (startWorker() && current) {
+                worker.postMessage({ type: 'run', id: current.id, job: current.job, args: current.args });
+            } else if (current) {
+                runLocal(current);
+            }
+        }
+
+        // Jobs on the page run one after another, like in the worker
+        function runLocal(entry) {
+            if (!localEngines) localEngines = CommuteEngineJobs.createJobEngines(inputs);
+            entry.controller = new AbortController();
+            const forEntry = callback => value => {
+                if (current === entry && callback) callback(value);
+            };
+            localQueue = localQueue.then(() => CommuteEngineJobs.runJob(localEngines, entry.job, entry.args, {
+                signal: entry.controller.signal,
+                onProgress: forEntry(entry.callbacks.onProgress),
+                onPartial: forEntry(entry.callbacks.onPartial)
+            }).then(
+                result => settle(entry, 'resolve', result),
+                error => settle(entry, 'reject', error)
+            ));
+        }
+
+        /**
+         * Run a job, cancelling the one in flight
+         * @param {string} job - A lib/engine-jobs.js job name
+         * @param {Object} args - Job arguments (must survive structured cloning)
+         * @param {Object} [callbacks] - {onProgress(message), onPartial(value)}
+         * @returns {Promise<*>} - Rejects with an AbortError when cancelled
+         */
+        function run(job, args, callbacks = {}) {
+            cancel();
+            return new Promise((resolve, reject) => {
+                current = { id: nextId++, job, args, callbacks, resolve, reject, controller: null };
+                if (worker || (localEngines === null && startWorker())) {
+                    worker.postMessage({ type: 'run', id: current.id, job, args });
+                } else {
+                    runLocal(current);
+                }
+            });
+        }
+
+        // Cancel the job in flight, if any
+        function cancel() {
+            const entry = current;
+            if (!entry) return;
+            settle(entry, 'reject', CommuteEngineJobs.createAbortError());
+
+            if (entry.controller) {
+                entry.controller.abort();
+            } else if (worker) {
+                worker.postMessage({ type: 'cancel', id: entry.id });
+                stopping.set(entry.id, setTimeout(restartWorker, CANCEL_GRACE_MS));
+            }
+        }
+
+        function terminate() {
+            cancel();
+            stopping.forEach(timer => clearTimeout(timer));
+            stopping.clear();
+            if (worker) worker.terminate();
+            worker = null;
+        }
+
+        return { run, cancel, terminate };
+    }
+
+    return {
+        DEFAULT_WORKER_URL,
+        CANCEL_GRACE_MS,
+        createEngineClient
+    };
+});
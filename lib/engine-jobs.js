@@ -0,0 +1,200 @@
+/**
+ * Engine Jobs
+ *
+ * The long calculations of the page as named jobs, so they can run in the
+ * Web Worker (lib/engine-worker.js) or, where workers are unavailable, on
+ * the page itself (lib/engine-client.js) with the same code:
+ *
+ *   calculateTrackCommute - {trackData, homeCoords, useApi, modes, avoidTolls}
+ *   findOptimalLocation   - {trackData}
+ *   compareTracks         - {tracks, homeCoords, verb}; one partial result per track
+ *   planCarpools          - {students, options} (lib/carpool.js)
+ *   findSharedHome        - {people, options} (lib/shared-home.js)
+ *   planMove              - {trackData, options} (lib/move-planner.js)
+ *
+ * Engines are built from the raw inputs the page loads (CSV rows and
+ * config files), which can be posted to a worker:
+ *
+ *   {locations, variance, calendar, routing: {config, fixtures},
+ *    traffic (config/traffic.json), transit: {feeds, config}, gantries,
+ *    detourModel (data/detour-model.json, optional)}
+ *
+ * Cancelling a job aborts its in-flight routing requests and drops the ones
+ * still queued in the request scheduler; the job stops at its next route or
+ * progress message with an AbortError. Straight-line grid scans, which make
+ * no requests, check the signal every point (CommuteEngine.createScanCheckpoint).
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteEngineJobs`
+ * in the browser and the worker (after the libraries it runs).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./request-scheduler'),
+            require('./routing-providers'),
+            require('./traffic'),
+            require('./transit'),
+            require('./tolls'),
+            require('./commute-engine'),
+            require('./carpool'),
+            require('./shared-home'),
+            require('./move-planner')
+        );
+    } else {
+        root.CommuteEngineJobs = factory(
+            root.CommuteScheduler,
+            root.CommuteRouting,
+            root.CommuteTraffic,
+            root.CommuteTransit,
+            root.CommuteTolls,
+            root.CommuteEngine,
+            root.CommuteCarpool,
+            root.CommuteSharedHome,
+            root.CommuteMovePlanner
+        );
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteScheduler, CommuteRouting, CommuteTraffic, CommuteTransit, CommuteTolls,
+    CommuteEngine, CommuteCarpool, CommuteSharedHome, CommuteMovePlanner) {
+    'use strict';
+
+    /**
+     * Build the engines for one set of inputs
+     * Routing requests are made with the signal of the job running at the time
+     * @param {Object} inputs - See the module header
+     * @returns {Object} - {engine, getTollFreeEngine(), setSignal(signal), routingProvider}
+     */
+    function createJobEngines(inputs) {
+        let signal = null;
+        const fetchJson = url => CommuteScheduler.fetchJson(url, signal ? { signal } : {});
+        const provider = CommuteRouting.createRoutingProvider(inputs.routing.config, {
+            fixtures: inputs.routing.fixtures,
+            fetchJson
+        });
+
+        // Every leg is a point where a cancelled job stops
+        const routingProvider = {
+            ...provider,
+            route(from, to, options) {
+                if (signal && signal.aborted) return Promise.reject(CommuteEngine.createAbortError());
+                return provider.route(from, to, signal ? { ...options, signal } : options);
+            }
+        };
+
+        const options = {
+            locations: inputs.locations,
+            variance: inputs.variance,
+            calendar: inputs.calendar,
+            routingProvider,
+            traffic: CommuteTraffic.createTrafficModel(inputs.traffic),
+            transit: CommuteTransit.createTransitPlanner(inputs.transit.feeds, inputs.transit.config),
+            tolls: CommuteTolls.createTollModel(inputs.gantries),
+            detourModel: inputs.detourModel || null
+        };
+        const engine = CommuteEngine.createCommuteEngine(options);
+        let tollFreeEngine = null;
+
+        return {
+            engine,
+            routingProvider,
+            getTollFreeEngine() {
+                if (!tollFreeEngine) {
+                    tollFreeEngine = CommuteEngine.createCommuteEngine({ ...options, avoidTolls: true });
+                }
+                return tollFreeEngine;
+            },
+            setSignal(jobSignal) {
+                signal = jobSignal;
+            }
+        };
+    }
+
+    const JOBS = {
+        calculateTrackCommute(engines, args) {
+            const engine = args.avoidTolls ? engines.getTollFreeEngine() : engines.engine;
+            return engine.calculateTrackCommute(args.trackData, args.homeCoords, args.useApi !== false, args.modes || {});
+        },
+
+        findOptimalLocation(engines, args, hooks) {
+            return engines.engine.findOptimalLocation(args.trackData, { log: hooks.progress, signal: hooks.signal });
+        },
+
+        // Tracks one by one from a home: [{trackName, result}] or {trackName, error} for failed tracks
+        async compareTracks(engines, args, hooks) {
+            const verb = args.verb || 'Analyzing';
+            const results = [];
+            for (let i = 0; i < args.tracks.length; i++) {
+                const trackData = args.tracks[i];
+                const trackName = trackData[CommuteEngine.TRACK_NAME_COLUMN];
+                hooks.progress(`${verb} ${trackName} (${i + 1}/${args.tracks.length})...`);
+                let entry;
+                try {
+                    entry = { trackName, result: await engines.engine.calculateTrackCommute(trackData, args.homeCoords, true) };
+                } catch (error) {
+                    if (CommuteEngine.isAbortError(error)) throw error;
+                    entry = { trackName, error: error.message };
+                }
+                results.push(entry);
+                hooks.partial({ index: i, ...entry });
+            }
+            return results;
+        },
+
+        planCarpools(engines, args, hooks) {
+            return CommuteCarpool.planCarpools(engines.engine, args.students, { ...args.options, onProgress: hooks.progress });
+        },
+
+        findSharedHome(engines, args, hooks) {
+            return CommuteSharedHome.findSharedHome(engines.engine, args.people, { ...args.options, log: hooks.progress, signal: hooks.signal });
+        },
+
+        planMove(engines, args, hooks) {
+            return CommuteMovePlanner.planMove(engines.engine, args.trackData, { ...args.options, log: hooks.progress, signal: hooks.signal });
+        }
+    };
+
+    /**
+     * Run one job
+     * @param {Object} engines - From createJobEngines()
+     * @param {string} name - A JOBS key
+     * @param {Object} args
+     * @param {Object} [hooks] - {signal (AbortSignal), onProgress(message), onPartial(value)}
+     * @returns {Promise<*>} - The job's result; rejects with an AbortError once the signal aborts
+     */
+    async function runJob(engines, name, args, hooks = {}) {
+        const job = JOBS[name];
+        if (!job) throw new Error(`Unknown engine job: ${name}`);
+
+        const signal = hooks.signal || null;
+        const checkpoint = () => {
+            if (signal && signal.aborted) throw CommuteEngine.createAbortError();
+        };
+        engines.setSignal(signal);
+        try {
+            checkpoint();
+            const result = await job(engines, args, {
+                signal, // For grid scans, which make no requests the routing provider could abort
+                progress: message => {
+                    checkpoint();
+                    if (hooks.onProgress) hooks.onProgress(message);
+                },
+                partial: value => {
+                    checkpoint();
+                    if (hooks.onPartial) hooks.onPartial(value);
+                }
+            });
+            checkpoint();
+            return result;
+        } finally {
+            engines.setSignal(null);
+        }
+    }
+
+    return {
+        JOB_NAMES: Object.keys(JOBS),
+        createAbortError: CommuteEngine.createAbortError,
+        isAbortError: CommuteEngine.isAbortError,
+        createJobEngines,
+        runJob
+    };
+});
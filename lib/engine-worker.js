@@ -0,0 +1,84 @@
+/**
+ * Engine Worker
+ *
+ * Runs lib/engine-jobs.js off the page's main thread, so the page stays
+ * responsive during grid searches and track comparisons. Started by
+ * lib/engine-client.js; not loaded with <script>.
+ *
+ * Messages from the page:
+ *   {type: 'init', inputs}          - engine inputs (see lib/engine-jobs.js)
+ *   {type: 'run', id, job, args}    - start a job
+ *   {type: 'cancel', id}            - abort a job, queued or running
+ *
+ * Messages to the page:
+ *   {type: 'progress', id, message} - status text for the loading panel
+ *   {type: 'partial', id, value}    - one piece of the result (compareTracks)
+ *   {type: 'result', id, result}
+ *   {type: 'error', id, message}    - id is null for a failed init
+ *   {type: 'cancelled', id}         - the job has stopped
+ *
+ * Jobs run one at a time: a job started after a cancel waits until the
+ * cancelled one has stopped, so the two never share the routing provider.
+ */
+
+importScripts(
+    './request-scheduler.js',
+    './routing-providers.js',
+    './transit.js',
+    './traffic.js',
+    './tolls.js',
+    './commute-engine.js',
+    './carpool.js',
+    './shared-home.js',
+    './move-planner.js',
+    './engine-jobs.js'
+);
+
+let engines = null;
+let queue = Promise.resolve();
+const controllers = new Map(); // Job id → AbortController, until the job settles
+
+function runQueued(id, job, args) {
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    queue = queue.then(async () => {
+        try {
+            const result = await CommuteEngineJobs.runJob(engines, job, args, {
+                signal: controller.signal,
+                onProgress: message => self.postMessage({ type: 'progress', id, message }),
+                onPartial: value => self.postMessage({ type: 'partial', id, value })
+            });
+            self.postMessage({ type: 'result', id, result });
+        } catch (error) {
+            if (controller.signal.aborted || CommuteEngineJobs.isAbortError(error)) {
+                self.postMessage({ type: 'cancelled', id });
+            } else {
+                self.postMessage({ type: 'error', id, message: error.message || String(error) });
+            }
+        } finally {
+            controllers.delete(id);
+        }
+    });
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        try {
+            engines = CommuteEngineJobs.createJobEngines(message.inputs);
+        } catch (error) {
+            self.postMessage({ type: 'error', id: null, message: `Engine setup failed: ${error.message}` });
+        }
+    } else if (message.type === 'run') {
+        if (!engines) {
+            self.postMessage({ type: 'error', id: message.id, message: 'Engine not initialized' });
+            return;
+        }
+        runQueued(message.id, message.job, message.args);
+    } else if (message.type === 'cancel') {
+        const controller = controllers.get(message.id);
+        if (controller) controller.abort();
+    }
+};
@@ -0,0 +1,188 @@
+/**
+ * Mid-Year Move Planner
+ *
+ * Best one-move schedule for a track: home A for blocks before block k,
+ * home B from block k on, against staying in one home all year.
+ *
+ * 1. Every grid point's track is calculated once on straight-line legs;
+ *    the hours of each block are kept
+ * 2. For each split k the best A minimizes the hours before k and the best
+ *    B the hours from k on (prefix and suffix sums of the same scan)
+ * 3. The best splits and the best stay-put points are refined with real
+ *    routes, like findOptimalLocation
+ *
+ * A move costs movingHours (packing, the move itself, setting up) and
+ * movingCost dollars (movers, deposits, overlapping rent). Splits are
+ * ranked on commute hours + movingHours, with movingCost turned into hours
+ * at hourValue dollars/hour when given (0 = dollars left out of the ranking).
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteMovePlanner`
+ * in the browser (after lib/commute-engine.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./commute-engine'));
+    } else {
+        root.CommuteMovePlanner = factory(root.CommuteEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteEngine) {
+    'use strict';
+
+    const DEFAULT_MOVING_HOURS = 24;
+    const DEFAULT_MOVING_COST = 1500;
+
+    function sumRange(values, from, to) {
+        let total = 0;
+        for (let i = from; i < to; i++) total += values[i];
+        return total;
+    }
+
+    /**
+     * Plan the best mid-year move for a track
+     * @param {Object} engine - From CommuteEngine.createCommuteEngine()
+     * @param {Object} trackData - Tracks.csv row
+     * @param {Object} [options]
+     * @param {number} [options.movingHours] - Hours one move takes (24)
+     * @param {number} [options.movingCost] - Dollars one move costs (1500)
+     * @param {number} [options.hourValue] - Dollars per hour, to rank moving dollars against hours (0)
+     * @param {number} [options.costPerMile] - Vehicle cost per mile, for the dollar comparison (lib/vehicles.js)
+     * @param {Object} [options.modes] - Block commute modes, as in calculateTrackCommute
+     * @param {number} [options.gridSize]
+     * @param {Object} [options.bounds]
+     * @param {number} [options.refineCount] - Splits and stay-put points refined with the API (5)
+     * @param {Function} [options.log]
+     * @param {AbortSignal} [options.signal] - Stops the grid scan
+     * @returns {Promise<Object>} - {stay, move, hoursSaved, costSaved, worthMoving, splits}; stay is
+     *          {coords, hours, miles, tollCost}, move is {split, block, date, homeA, homeB, hours, miles,
+     *          tollCost, movingHours, movingCost, blocks: [{block, month, start, end, home, hours, miles}]}
+     *          or null for tracks with fewer than two blocks; splits: [{split, block, date, hours}] (scan)
+     */
+    async function planMove(engine, trackData, options = {}) {
+        const movingHours = options.movingHours === undefined ? DEFAULT_MOVING_HOURS : options.movingHours;
+        const movingCost = options.movingCost === undefined ? DEFAULT_MOVING_COST : options.movingCost;
+        const hourValue = options.hourValue || 0;
+        const costPerMile = options.costPerMile || 0;
+        const modes = options.modes || {};
+        const refineCount = options.refineCount || 5;
+        const log = options.log || (() => {});
+        const moveHours = movingHours + (hourValue > 0 ? movingCost / hourValue : 0);
+
+        // ---- Phase 1: block hours at every grid point ----
+        const testPoints = CommuteEngine.generateGridPoints(options.gridSize, options.bounds);
+        log(`Phase 1: Scanning ${testPoints.length} grid points...`);
+        const scanned = [];
+        let blocks = [];
+        const checkpoint = CommuteEngine.createScanCheckpoint(options.signal);
+        for (const coords of testPoints) {
+            await checkpoint();
+            const result = await engine.calculateTrackCommute(trackData, coords, false, modes);
+            blocks = result.blockDetails;
+            scanned.push({ coords, hours: result.blockDetails.map(block => block.totalHours) });
+        }
+        const blockCount = blocks.length;
+
+        function bestPoint(from, to) {
+            let best = null;
+            scanned.forEach(point => {
+                const hours = sumRange(point.hours, from, to);
+                if (!best || hours < best.hours) best = { coords: point.coords, hours };
+            });
+            return best;
+        }
+
+        const splits = [];
+        for (let k = 1; k < blockCount; k++) {
+            const before = bestPoint(0, k);
+            const after = bestPoint(k, blockCount);
+            splits.push({
+                split: k,
+                block: blocks[k].block,
+                date: blocks[k].start,
+                homeA: before.coords,
+                homeB: after.coords,
+                hours: before.hours + after.hours
+            });
+        }
+
+        // ---- Phase 2: real routes for the best candidates ----
+        const refinedTracks = new Map();
+        async function refinedTrack(coords) {
+            const key = `${coords.lat},${coords.lng}`;
+            if (!refinedTracks.has(key)) {
+                refinedTracks.set(key, await engine.calculateTrackCommute(trackData, coords, true, modes));
+            }
+            return refinedTracks.get(key);
+        }
+
+        log(`Phase 2: Refining top ${refineCount} homes and moves with API...`);
+        let stay = null;
+        const stayCandidates = [...scanned]
+            .sort((a, b) => sumRange(a.hours, 0, blockCount) - sumRange(b.hours, 0, blockCount))
+            .slice(0, refineCount);
+        for (const candidate of stayCandidates) {
+            const result = await refinedTrack(candidate.coords);
+            if (!stay || result.totalHours < stay.hours) {
+                stay = { coords: candidate.coords, hours: result.totalHours, miles: result.totalMiles, tollCost: result.tollCost };
+            }
+        }
+
+        let move = null;
+        for (const candidate of [...splits].sort((a, b) => a.hours - b.hours).slice(0, refineCount)) {
+            const trackA = await refinedTrack(candidate.homeA);
+            const trackB = await refinedTrack(candidate.homeB);
+            const moveBlocks = blocks.map((block, i) => {
+                const detail = (i < candidate.split ? trackA : trackB).blockDetails[i];
+                return {
+                    block: block.block,
+                    month: block.month,
+                    start: block.start,
+                    end: block.end,
+                    home: i < candidate.split ? 'A' : 'B',
+                    hours: detail.totalHours,
+                    miles: detail.totalMiles,
+                    tollCost: detail.tollCost
+                };
+            });
+            const hours = moveBlocks.reduce((total, block) => total + block.hours, 0);
+            if (!move || hours < move.hours) {
+                move = {
+                    split: candidate.split,
+                    block: candidate.block,
+                    date: candidate.date,
+                    homeA: candidate.homeA,
+                    homeB: candidate.homeB,
+                    hours,
+                    miles: moveBlocks.reduce((total, block) => total + block.miles, 0),
+                    tollCost: moveBlocks.reduce((total, block) => total + block.tollCost, 0),
+                    movingHours,
+                    movingCost,
+                    blocks: moveBlocks
+                };
+            }
+        }
+
+        if (!move) {
+            return { stay, move: null, hoursSaved: 0, costSaved: 0, worthMoving: false, splits };
+        }
+
+        // Commute savings net of the move itself
+        const hoursSaved = stay.hours - move.hours - movingHours;
+        const stayCost = stay.miles * costPerMile + stay.tollCost + stay.hours * hourValue;
+        const moveCost = move.miles * costPerMile + move.tollCost + (move.hours + movingHours) * hourValue + movingCost;
+        return {
+            stay,
+            move,
+            hoursSaved,
+            costSaved: stayCost - moveCost,
+            worthMoving: move.hours + moveHours < stay.hours,
+            splits
+        };
+    }
+
+    return {
+        DEFAULT_MOVING_HOURS,
+        DEFAULT_MOVING_COST,
+        planMove
+    };
+});
@@ -0,0 +1,285 @@
+/**
+ * Node-only helpers for the scripts in scripts/
+ *
+ * Reads the CSV data set from disk and creates a commute engine that talks
+ * to the configured routing provider over http/https (works on Node
+ * versions without fetch()).
+ *
+ * Data directory: data/, or COMMUTE_DATA_DIR when set, so scripts work from
+ * any working directory.
+ *
+ * Routing config: config/routing.json, overridable per run with the
+ * ROUTING_PROVIDER and ROUTING_BASE_URL environment variables.
+ *
+ * Answered legs are kept in the on-disk route cache (lib/route-cache.js);
+ * set ROUTE_CACHE=off to bypass it for a run. Requests that do go out are
+ * paced and retried by the shared request scheduler (lib/request-scheduler.js).
+ *
+ * Rush-hour multipliers: config/traffic.json (lib/traffic.js); set
+ * TRAFFIC=off for free-flow durations.
+ *
+ * Vehicle cost profile: config/vehicles.json (lib/vehicles.js); set
+ * VEHICLE=<profile id> to cost a run with another one.
+ *
+ * Tolls: the gantries in data/Tolls.csv (lib/tolls.js) are priced on every
+ * driven leg when the file has rows; set TOLLS=off to leave them out.
+ *
+ * Straight-line legs (the grid scan and fallbacks) use the fitted road model
+ * in data/detour-model.json when present (scripts/calibrate-detour.js); set
+ * DETOUR_MODEL=off for plain straight lines at 30 mph.
+ *
+ * Legs the provider failed to answer fall back to straight-line estimates;
+ * generation scripts report them before writing, and with
+ * ROUTING_FALLBACKS=fail refuse to write an output that contains any.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const CommuteEngine = require('./commute-engine');
+const CommuteRouting = require('./routing-providers');
+const CommuteScheduler = require('./request-scheduler');
+const CommuteTolls = require('./tolls');
+const CommuteTraffic = require('./traffic');
+const CommuteVehicles = require('./vehicles');
+const { createRouteCache, createCachedProvider } = require('./route-cache');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.COMMUTE_DATA_DIR || path.join(ROOT_DIR, 'data'));
+const ROUTING_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'routing.json');
+const TRAFFIC_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'traffic.json');
+const VEHICLES_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'vehicles.json');
+const UNCACHED_PROVIDERS = ['haversine', 'fixture']; // Already local, nothing to save
+const DETOUR_MODEL_FILE = 'detour-model.json';
+
+// GET a URL and parse the response body as JSON; non-2xx responses reject with their status
+function fetchJson(url) {
+    const client = url.startsWith('http:') ? http : https;
+    return new Promise((resolve, reject) => {
+        client.get(url, (res) => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                reject(CommuteScheduler.createHttpError(res.statusCode, url, res.headers['retry-after']));
+                return;
+            }
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(data));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+// Read and parse one CSV file from the data directory
+function readCSV(dataDir, fileName) {
+    return CommuteEngine.parseCSV(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+}
+
+/**
+ * Load Locations, Tracks, Variance and the optional Calendar and Tolls from a data directory
+ * @param {string} dataDir - Directory holding the CSV files
+ * @param {Object} [files] - Override file names, e.g. {tracks: 'Tracks-Optimized-Matrix.csv'}
+ * @returns {Object} - {locations, tracks, variance, calendar, gantries}
+ */
+function loadData(dataDir, files = {}) {
+    console.log('Loading data files...');
+
+    const locations = CommuteEngine.buildLocations(readCSV(dataDir, files.locations || 'Locations.csv'));
+    const tracks = CommuteEngine.buildTracks(readCSV(dataDir, files.tracks || 'Tracks.csv'));
+    const variance = CommuteEngine.buildVariance(readCSV(dataDir, files.variance || 'Variance.csv'));
+    const calendarFile = files.calendar || 'Calendar.csv';
+    const calendar = fs.existsSync(path.join(dataDir, calendarFile))
+        ? CommuteEngine.buildCalendar(readCSV(dataDir, calendarFile))
+        : [];
+    const tollsFile = files.tolls || 'Tolls.csv';
+    const gantries = fs.existsSync(path.join(dataDir, tollsFile))
+        ? CommuteTolls.buildGantries(readCSV(dataDir, tollsFile))
+        : [];
+
+    console.log(`Loaded ${Object.keys(locations).length} locations`);
+    console.log(`Loaded ${tracks.length} tracks`);
+    console.log(`Loaded ${Object.keys(variance).length} variance entries`);
+    console.log(`Loaded ${calendar.length} calendar entries`);
+    console.log(`Loaded ${gantries.length} toll gantries`);
+
+    return { locations, tracks, variance, calendar, gantries };
+}
+
+/**
+ * Load config/routing.json and apply environment overrides
+ * @param {string} [configPath] - Alternate config file
+ * @returns {Object} - Routing config (see lib/routing-providers.js)
+ */
+function loadRoutingConfig(configPath = ROUTING_CONFIG_PATH) {
+    const config = fs.existsSync(configPath)
+        ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+        : {};
+    config.providers = config.providers || {};
+
+    if (process.env.ROUTING_PROVIDER) {
+        config.provider = process.env.ROUTING_PROVIDER;
+    }
+    if (process.env.ROUTING_BASE_URL) {
+        const name = config.provider || CommuteRouting.DEFAULT_CONFIG.provider;
+        config.providers[name] = { ...config.providers[name], baseUrl: process.env.ROUTING_BASE_URL };
+    }
+
+    return config;
+}
+
+/**
+ * Create the traffic model from config/traffic.json (free flow when the
+ * file is missing or TRAFFIC=off)
+ * @param {string} [configPath] - Alternate config file
+ */
+function loadTrafficModel(configPath = TRAFFIC_CONFIG_PATH) {
+    if (process.env.TRAFFIC === 'off' || !fs.existsSync(configPath)) {
+        return CommuteTraffic.createTrafficModel();
+    }
+    return CommuteTraffic.createTrafficModel(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+}
+
+/**
+ * The vehicle profile selected in config/vehicles.json (or VEHICLE)
+ * @param {string} [configPath] - Alternate config file
+ * @returns {Object} - See lib/vehicles.js
+ */
+function loadVehicleProfile(configPath = VEHICLES_CONFIG_PATH) {
+    const config = fs.existsSync(configPath)
+        ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+        : {};
+    if (process.env.VEHICLE) {
+        config.vehicle = process.env.VEHICLE;
+    }
+
+    const { profiles, selected } = CommuteVehicles.loadVehicleConfig(config, message => console.warn(`Warning: ${message}`));
+    return profiles.find(profile => profile.id === selected);
+}
+
+/**
+ * Create the routing provider named in the routing config
+ * @param {Object} [config] - Routing config (defaults to loadRoutingConfig())
+ */
+function createNodeRoutingProvider(config = loadRoutingConfig()) {
+    const { name, settings } = CommuteRouting.resolveProviderConfig(config);
+
+    let fixtures;
+    if (name === 'fixture') {
+        const fixturePath = path.resolve(ROOT_DIR, settings.file);
+        if (!fs.existsSync(fixturePath)) {
+            throw new Error(`Route fixture file not found: ${fixturePath}`);
+        }
+        fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+
+    return CommuteRouting.createRoutingProvider(config, { fetchJson, fixtures });
+}
+
+/**
+ * Wrap a provider with the shared route cache
+ *
+ * The cache is written and its hit/miss stats printed when the process
+ * exits, so every script gets both without extra code.
+ */
+function withRouteCache(provider) {
+    if (process.env.ROUTE_CACHE === 'off' || UNCACHED_PROVIDERS.includes(provider.name)) {
+        return provider;
+    }
+
+    const cache = createRouteCache();
+    process.on('exit', () => {
+        cache.save();
+        console.log(cache.summary());
+    });
+    return createCachedProvider(provider, cache);
+}
+
+/**
+ * Create the toll model for a loaded data set (no gantries when TOLLS=off)
+ * @param {Object} data - From loadData()
+ */
+function loadTollModel(data) {
+    return CommuteTolls.createTollModel(process.env.TOLLS === 'off' ? [] : data.gantries);
+}
+
+/**
+ * Load the fitted detour model from the data directory
+ * @returns {Object|null} - null when there is none or DETOUR_MODEL=off
+ */
+function loadDetourModel(dataDir = DATA_DIR) {
+    const modelPath = path.join(dataDir, DETOUR_MODEL_FILE);
+    if (process.env.DETOUR_MODEL === 'off' || !fs.existsSync(modelPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+}
+
+// Create a commute engine for a loaded data set
+function createNodeEngine(data, options = {}) {
+    const routingProvider = options.routingProvider || withRouteCache(createNodeRoutingProvider());
+    console.log(`Routing provider: ${routingProvider.name}${routingProvider.baseUrl ? ` (${routingProvider.baseUrl})` : ''}`);
+    if (routingProvider.routeCache) {
+        console.log(`Route cache: ${routingProvider.routeCache.describe().size} legs in ${path.relative(ROOT_DIR, routingProvider.routeCache.file)}`);
+    }
+    const traffic = options.traffic || loadTrafficModel();
+    console.log(`Traffic: ${traffic.enabled ? 'rush-hour multipliers (config/traffic.json)' : 'free flow'}`);
+    const detourModel = options.detourModel !== undefined ? options.detourModel : loadDetourModel();
+    const tolls = options.tolls !== undefined ? options.tolls : loadTollModel(data);
+    console.log(`Tolls: ${tolls && tolls.enabled ? `${tolls.gantries.length} gantries (Tolls.csv)` : 'not priced'}`);
+    console.log(`Straight-line legs: ${detourModel ? `detour model fitted from ${detourModel.legs} routes (${DETOUR_MODEL_FILE})` : 'as the crow flies at 30 mph'}`);
+
+    return CommuteEngine.createCommuteEngine({
+        locations: data.locations,
+        variance: data.variance,
+        calendar: data.calendar,
+        traffic,
+        tolls,
+        detourModel,
+        ...options,
+        routingProvider
+    });
+}
+
+/**
+ * Report an engine's straight-line fallback legs before a script writes its output
+ * @param {Object} engine - From createNodeEngine()
+ * @returns {boolean} - false when the output must not be written (fallbacks with ROUTING_FALLBACKS=fail)
+ */
+function checkRoutingFallbacks(engine) {
+    const stats = engine.getRoutingStats();
+    // Every counter under its own source: a haversine provider's answers are haversine legs, not api legs
+    const counts = Object.entries(stats).map(([source, count]) => `${count} ${source}`).join(', ');
+    console.log(`Routing (${engine.routingProvider.name}): ${counts}`);
+    if (stats.fallback === 0) return true;
+
+    if (process.env.ROUTING_FALLBACKS === 'fail') {
+        console.error(`❌ ${stats.fallback} legs fell back to straight-line estimates; not writing output (ROUTING_FALLBACKS=fail)`);
+        return false;
+    }
+    console.warn(`⚠️  ${stats.fallback} legs fell back to straight-line estimates; rerun once the provider answers, ` +
+        'or set ROUTING_FALLBACKS=fail to refuse such outputs');
+    return true;
+}
+
+module.exports = {
+    ROOT_DIR,
+    DATA_DIR,
+    fetchJson,
+    readCSV,
+    loadData,
+    loadRoutingConfig,
+    loadTrafficModel,
+    loadVehicleProfile,
+    loadTollModel,
+    loadDetourModel,
+    createNodeRoutingProvider,
+    withRouteCache,
+    createNodeEngine,
+    checkRoutingFallbacks
+};
@@ -0,0 +1,216 @@
+/**
+ * Data Pipeline (Node only)
+ *
+ * The scripts in scripts/ grouped into the stages run by
+ * bin/commute-optimizer. Each step lists the data files it reads and
+ * writes (plus any lib/ and config/ files only it uses); a step is skipped
+ * when the content hash of its inputs (data files, the script itself, every
+ * local module it requires and the shared engine/routing code) matches its
+ * last successful run and its outputs still exist.
+ *
+ * Run state: <data dir>/cache/pipeline-state.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT_DIR } = require('./node-data');
+
+const SCRIPTS_DIR = path.join(ROOT_DIR, 'scripts');
+
+// Code every step depends on besides its own script (and the modules it requires, see requiredFiles)
+const SHARED_INPUTS = [
+    path.join(ROOT_DIR, 'lib', 'node-data.js'),
+    path.join(ROOT_DIR, 'lib', 'commute-engine.js'),
+    path.join(ROOT_DIR, 'lib', 'routing-providers.js'),
+    path.join(ROOT_DIR, 'lib', 'traffic.js'),
+    path.join(ROOT_DIR, 'lib', 'request-scheduler.js'),
+    path.join(ROOT_DIR, 'lib', 'route-cache.js'),
+    path.join(ROOT_DIR, 'lib', 'tolls.js'),
+    path.join(ROOT_DIR, 'lib', 'transit.js'),
+    path.join(ROOT_DIR, 'lib', 'detour-model.js'),
+    path.join(ROOT_DIR, 'config', 'routing.json'),
+    path.join(ROOT_DIR, 'config', 'traffic.json')
+];
+
+// Data files every step may read when present (loadData, createNodeEngine)
+const OPTIONAL_INPUTS = ['Calendar.csv', 'Tolls.csv', 'detour-model.json'];
+
+const SOURCE_CSVS = ['Locations.csv', 'Tracks.csv', 'Variance.csv'];
+const OPTIMIZED_CSVS = ['Locations.csv', 'Tracks-Optimized-Matrix.csv', 'Variance.csv'];
+
+const STAGES = {
+    lint: [
+        { script: 'lint-data.js', inputs: SOURCE_CSVS, outputs: [], libs: ['data-lint.js'] }
+    ],
+    generate: [
+        { script: 'generate-optimal-data.js', inputs: SOURCE_CSVS, outputs: ['optimal-locations.json'] }
+    ],
+    matrix: [
+        { script: 'generate-burden-matrix.js', inputs: SOURCE_CSVS, outputs: ['burden-matrix.json'] }
+    ],
+    validate: [
+        {
+            script: 'validate-matrix.js',
+            inputs: ['burden-matrix.json', 'optimal-locations.json', 'Tracks.csv', 'Variance.csv'],
+            outputs: [],
+            libs: ['burden-matrix.js']
+        }
+    ],
+    optimize: [
+        {
+            script: 'optimize-tracks-matrix.js',
+            inputs: ['burden-matrix.json', 'Tracks.csv', 'Variance.csv'],
+            outputs: ['Tracks-Optimized-Matrix.csv', 'optimization-matrix-report.json']
+        },
+        { script: 'validate-capacity.js', inputs: ['Tracks.csv', 'Tracks-Optimized-Matrix.csv'], outputs: [] },
+        { script: 'generate-optimal-data-optimal-tracks.js', inputs: OPTIMIZED_CSVS, outputs: ['optimal-locations-optimal-tracks.json'] },
+        {
+            script: 'validate-matrix-optimal-tracks.js',
+            inputs: ['burden-matrix.json', 'optimal-locations-optimal-tracks.json', 'Tracks-Optimized-Matrix.csv', 'Variance.csv'],
+            outputs: [],
+            libs: ['burden-matrix.js']
+        }
+    ],
+    wednesday: [
+        {
+            script: 'analyze-wednesday-burden.js',
+            inputs: [...SOURCE_CSVS, 'optimal-locations.json'],
+            outputs: ['wednesday-analysis.json'],
+            libs: ['vehicles.js'],
+            configs: ['vehicles.json']
+        },
+        {
+            script: 'analyze-wednesday-burden-optimal-matrix.js',
+            inputs: [...OPTIMIZED_CSVS, 'optimal-locations-optimal-tracks.json'],
+            outputs: ['wednesday-analysis-of-optimized-tracks.json'],
+            libs: ['vehicles.js'],
+            configs: ['vehicles.json']
+        }
+    ]
+};
+
+const STAGE_ORDER = ['lint', 'generate', 'matrix', 'validate', 'optimize', 'wednesday'];
+
+/**
+ * Local modules the given files require(), followed transitively, so a lib
+ * a script starts using is hashed without being listed anywhere
+ * @param {Array<string>} entryPaths - Script and lib paths
+ * @returns {Array<string>} - The entry paths and every module they load, sorted
+ */
+function requiredFiles(entryPaths) {
+    const seen = new Set();
+    const visit = filePath => {
+        if (seen.has(filePath) || !fs.existsSync(filePath)) return;
+        seen.add(filePath);
+        const source = fs.readFileSync(filePath, 'utf8');
+        const pattern = /require\(\s*['"](\.{1,2}\/[^'"]+)['"]\s*\)/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            try {
+                visit(require.resolve(match[1], { paths: [path.dirname(filePath)] }));
+            } catch (error) {
+                // A missing module fails the step itself
+            }
+        }
+    };
+    entryPaths.forEach(visit);
+    return [...seen].sort();
+}
+
+// SHA-256 over the names and contents of a list of files
+function hashFiles(filePaths) {
+    const hash = crypto.createHash('sha256');
+    for (const filePath of filePaths) {
+        hash.update(path.basename(filePath));
+        hash.update('\0');
+        hash.update(fs.readFileSync(filePath));
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+function loadState(stateFile) {
+    if (!fs.existsSync(stateFile)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveState(stateFile, state) {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Run pipeline stages in order, stopping at the first failing step
+ * @param {Array<string>} stageNames - Keys of STAGES
+ * @param {Object} options - {dataDir, force, log}
+ * @returns {boolean} - true when every step passed or was skipped
+ */
+function runStages(stageNames, options) {
+    const { dataDir, force = false, log = console.log } = options;
+    const stateFile = path.join(dataDir, 'cache', 'pipeline-state.json');
+    const state = loadState(stateFile);
+
+    for (const stageName of stageNames) {
+        for (const step of STAGES[stageName]) {
+            const label = `[${stageName}] ${step.script}`;
+
+            const missing = step.inputs.filter(file => !fs.existsSync(path.join(dataDir, file)));
+            if (missing.length > 0) {
+                log(`✗ ${label}: missing input ${missing.join(', ')} in ${dataDir}`);
+                return false;
+            }
+
+            const scriptPath = path.join(SCRIPTS_DIR, step.script);
+            const inputHash = hashFiles([
+                ...step.inputs.map(file => path.join(dataDir, file)),
+                ...OPTIONAL_INPUTS.map(file => path.join(dataDir, file)).filter(file => fs.existsSync(file)),
+                ...requiredFiles([
+                    scriptPath,
+                    ...(step.libs || []).map(file => path.join(ROOT_DIR, 'lib', file)),
+                    ...SHARED_INPUTS.filter(file => file.endsWith('.js'))
+                ]),
+                ...(step.configs || []).map(file => path.join(ROOT_DIR, 'config', file)).filter(file => fs.existsSync(file)),
+                ...SHARED_INPUTS.filter(file => !file.endsWith('.js') && fs.existsSync(file))
+            ]);
+            const outputsExist = step.outputs.every(file => fs.existsSync(path.join(dataDir, file)));
+
+            if (!force && state[step.script] === inputHash && outputsExist) {
+                log(`- ${label}: inputs unchanged, skipped`);
+                continue;
+            }
+
+            log(`\n▶ ${label}\n`);
+            const result = spawnSync(process.execPath, [scriptPath], {
+                cwd: SCRIPTS_DIR,
+                stdio: 'inherit',
+                env: { ...process.env, COMMUTE_DATA_DIR: dataDir }
+            });
+            if (result.status !== 0) {
+                log(`\n✗ ${label} failed (exit code ${result.status})`);
+                delete state[step.script];
+                saveState(stateFile, state);
+                return false;
+            }
+
+            state[step.script] = inputHash;
+            saveState(stateFile, state);
+            log(`\n✓ ${label}`);
+        }
+    }
+
+    return true;
+}
+
+module.exports = {
+    STAGES,
+    STAGE_ORDER,
+    hashFiles,
+    requiredFiles,
+    runStages
+};
@@ -0,0 +1,311 @@
+/**
+ * Request Scheduler
+ *
+ * One gate for every request to a rate-limited web service (routing
+ * providers, Nominatim geocoding), so a job runs as fast as each service
+ * allows instead of sleeping a fixed delay before every call. Each service
+ * has its own limits:
+ *
+ *   ratePerSecond - token bucket refill rate (0 = no rate limit)
+ *   burst         - bucket size: requests sent back to back after a pause
+ *   concurrency   - requests in flight at once
+ *   retries       - further attempts after a 429 or 5xx response
+ *   backoffMs     - first retry delay, doubled per attempt up to maxBackoffMs
+ *
+ * A 429 pauses the whole service for its Retry-After (or the backoff);
+ * a 5xx delays only the failed request. Other failures (a 400, a provider
+ * with no route for the leg) reject at once.
+ *
+ * Requests with the same key in flight at the same time share one request,
+ * e.g. two blocks of a track asking for the same campus leg.
+ *
+ * Services are named by the caller: routing providers use their base URL
+ * (createScheduledProvider), the page uses 'nominatim'. The shared
+ * scheduler is per page or worker; Node scripts share one per process.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteScheduler`
+ * in the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommuteScheduler = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LIMITS = {
+        ratePerSecond: 0,
+        burst: 1,
+        concurrency: 4,
+        retries: 3,
+        backoffMs: 500,
+        maxBackoffMs: 8000
+    };
+
+    // Services with a published usage policy
+    const SERVICE_LIMITS = {
+        nominatim: { ratePerSecond: 1, burst: 1, concurrency: 1 } // operations.osmfoundation.org/policies/nominatim
+    };
+
+    /**
+     * Error for a non-2xx response
+     * @param {number} status - HTTP status code
+     * @param {string} url
+     * @param {string} [retryAfter] - Retry-After header (seconds or an HTTP date)
+     */
+    function createHttpError(status, url, retryAfter) {
+        const error = new Error(`HTTP ${status} from ${String(url).split('?')[0]}`);
+        error.name = 'HttpError';
+        error.status = status;
+        error.retryAfterMs = parseRetryAfter(retryAfter);
+        return error;
+    }
+
+    /**
+     * Retry-After header in milliseconds
+     * @returns {number|null} - null when absent or unreadable
+     */
+    function parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Rate limited or a server-side failure: worth asking again
+    function isRetryable(error) {
+        return Boolean(error) && (error.status === 429 || error.status >= 500);
+    }
+
+    function createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * fetch() a URL and parse the body as JSON, rejecting non-2xx responses
+     * with an HttpError so the scheduler can tell transient failures apart
+     * @param {string} url
+     * @param {Object} [init] - fetch() options (headers, signal)
+     */
+    async function fetchJson(url, init = {}) {
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            throw createHttpError(response.status, url, response.headers.get('Retry-After'));
+        }
+        return response.json();
+    }
+
+    /**
+     * Create a scheduler
+     * @param {Object} [limitsByService] - { [service]: limits } over DEFAULT_LIMITS
+     * @returns {Object} - {configure(service, limits), schedule(service, key, task, options), stats(service)}
+     */
+    function createScheduler(limitsByService = {}) {
+        const services = new Map();
+
+        function getService(name) {
+            if (!services.has(name)) {
+                const limits = { ...DEFAULT_LIMITS, ...(SERVICE_LIMITS[name] || {}), ...(limitsByService[name] || {}) };
+                services.set(name, {
+                    limits,
+                    tokens: limits.burst,
+                    refilledAt: Date.now(),
+                    pausedUntil: 0,
+                    active: 0,
+                    queue: [],
+                    timer: null,
+                    inFlight: new Map(),
+                    stats: { requests: 0, retries: 0, shared: 0, failures: 0 }
+                });
+            }
+            return services.get(name);
+        }
+
+        /**
+         * Set a service's limits (unset fields keep their current value)
+         * @param {string} name
+         * @param {Object} limits - See the module header
+         */
+        function configure(name, limits = {}) {
+            const service = getService(name);
+            Object.keys(limits).forEach(field => {
+                if (limits[field] !== undefined && field in DEFAULT_LIMITS) {
+                    service.limits[field] = limits[field];
+                }
+            });
+            service.tokens = Math.min(service.tokens, service.limits.burst);
+        }
+
+        function refill(service, now) {
+            const { ratePerSecond, burst } = service.limits;
+            if (ratePerSecond > 0) {
+                service.tokens = Math.min(burst, service.tokens + (now - service.refilledAt) / 1000 * ratePerSecond);
+            }
+            service.refilledAt = now;
+        }
+
+        function wake(service, delayMs) {
+            if (service.timer) return;
+            service.timer = setTimeout(() => {
+                service.timer = null;
+                pump(service);
+            }, Math.max(1, Math.ceil(delayMs)));
+        }
+
+        // Start queued requests while the bucket and the concurrency limit allow
+        function pump(service) {
+            const { ratePerSecond, concurrency } = service.limits;
+            while (service.queue.length > 0 && service.active < concurrency) {
+                const request = service.queue[0];
+                if (request.signal && request.signal.aborted) {
+                    service.queue.shift();
+                    request.reject(createAbortError());
+                    continue;
+                }
+
+                const now = Date.now();
+                if (now < service.pausedUntil) {
+                    wake(service, service.pausedUntil - now);
+                    return;
+                }
+                refill(service, now);
+                if (ratePerSecond > 0) {
+                    if (service.tokens < 1) {
+                        wake(service, (1 - service.tokens) / ratePerSecond * 1000);
+                        return;
+                    }
+                    service.tokens -= 1;
+                }
+
+                service.queue.shift();
+                send(service, request);
+            }
+        }
+
+        function send(service, request) {
+            service.active++;
+            service.stats.requests++;
+            Promise.resolve().then(request.task).then(value => {
+                service.active--;
+                request.resolve(value);
+                pump(service);
+            }, error => {
+                service.active--;
+                const { retries, backoffMs, maxBackoffMs } = service.limits;
+                if (isRetryable(error) && request.attempt < retries) {
+                    const delayMs = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+                        ? error.retryAfterMs
+                        : Math.min(maxBackoffMs, backoffMs * Math.pow(2, request.attempt)) * (0.5 + Math.random() / 2);
+                    request.attempt++;
+                    service.stats.retries++;
+                    if (error.status === 429) {
+                        service.pausedUntil = Math.max(service.pausedUntil, Date.now() + delayMs);
+                        service.queue.unshift(request);
+                    } else {
+                        setTimeout(() => {
+                            service.queue.unshift(request);
+                            pump(service);
+                        }, delayMs);
+                    }
+                } else {
+                    service.stats.failures++;
+                    request.reject(error);
+                }
+                pump(service);
+            });
+        }
+
+        /**
+         * Run a request under a service's limits
+         * @param {string} name - Service name
+         * @param {string|null} key - Identical requests share one while in flight (null = never shared)
+         * @param {Function} task - () => Promise; called once per attempt
+         * @param {Object} [options] - {signal}: an aborted signal drops the request if it has not started
+         * @returns {Promise<*>} - The task's result; rejects once retries are used up
+         */
+        function schedule(name, key, task, options = {}) {
+            const service = getService(name);
+            if (key !== null && key !== undefined && service.inFlight.has(key)) {
+                service.stats.shared++;
+                return service.inFlight.get(key);
+            }
+
+            const promise = new Promise((resolve, reject) => {
+                service.queue.push({ task, resolve, reject, attempt: 0, signal: options.signal || null });
+                pump(service);
+            });
+            if (key !== null && key !== undefined) {
+                service.inFlight.set(key, promise);
+                const forget = () => service.inFlight.delete(key);
+                promise.then(forget, forget);
+            }
+            return promise;
+        }
+
+        // Request counts of one service: {requests, retries, shared, failures, queued, active}
+        function stats(name) {
+            const service = getService(name);
+            return { ...service.stats, queued: service.queue.length, active: service.active };
+        }
+
+        return { configure, schedule, stats };
+    }
+
+    let sharedScheduler = null;
+
+    // The scheduler every provider and geocoding request of this page, worker or process goes through
+    function getSharedScheduler() {
+        if (!sharedScheduler) sharedScheduler = createScheduler();
+        return sharedScheduler;
+    }
+
+    /**
+     * Send a routing provider's requests through a scheduler
+     *
+     * The wrapper keeps the provider's name and sets requestDelayMs to 0:
+     * pacing is the scheduler's job. Legs are keyed by their coordinates and
+     * route options, so concurrent identical legs make one request;
+     * options.signal drops a leg still waiting in the queue.
+     *
+     * @param {Object} provider - See lib/routing-providers.js
+     * @param {Object} [scheduler] - Defaults to the shared scheduler
+     * @param {Object} [limits] - Limits for the provider's service
+     */
+    function createScheduledProvider(provider, scheduler = getSharedScheduler(), limits = {}) {
+        const service = provider.baseUrl || provider.name;
+        scheduler.configure(service, limits);
+
+        const scheduled = {
+            ...provider,
+            requestDelayMs: 0,
+            scheduler,
+            route(from, to, options = {}) {
+                const key = `route|${from.lat},${from.lng};${to.lat},${to.lng}|` +
+                    `${options.geometry ? 'geometry' : ''}|${options.avoidTolls ? 'avoidTolls' : ''}`;
+                return scheduler.schedule(service, key, () => provider.route(from, to, options), { signal: options.signal });
+            }
+        };
+        if (provider.table) {
+            scheduled.table = coords => scheduler.schedule(service, null, () => provider.table(coords));
+        }
+        return scheduled;
+    }
+
+    return {
+        DEFAULT_LIMITS,
+        SERVICE_LIMITS,
+        createHttpError,
+        parseRetryAfter,
+        isRetryable,
+        fetchJson,
+        createScheduler,
+        getSharedScheduler,
+        createScheduledProvider
+    };
+});
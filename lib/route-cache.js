@@ -0,0 +1,231 @@
+/**
+ * Persistent Route Cache (Node only)
+ *
+ * Stores every leg a routing provider answers in data/cache/route-cache.json,
+ * keyed by provider and rounded origin/destination, so rerunning the
+ * pipeline only requests legs that have never been fetched.
+ *
+ * Entry key: "osrm|26.0820,-80.2490;25.7311,-80.3863"; toll-free routes
+ * (avoidTolls) are kept apart under "osrm:avoidTolls|..."
+ * Entry value: {distanceMiles, durationHours, cachedAt, [geometry]}
+ *
+ * Legs fetched with their route shape (toll pricing) keep it as a
+ * simplified encoded polyline, so priced legs are answered from the cache
+ * too; a shape request for a leg cached without one fetches it once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encodePolyline, decodePolyline } = require('./routing-providers');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'cache', 'route-cache.json');
+const DEFAULT_PRECISION = 4; // Decimal places (~11 m)
+const AUTOSAVE_EVERY = 50; // New entries between writes, so long runs survive a crash
+const GEOMETRY_PRECISION = 5; // Polyline decimal places (~1 m)
+const GEOMETRY_TOLERANCE_MILES = 0.005; // ~8 m of simplification, well inside the toll gantry radius
+const MILES_PER_DEGREE = 69.17;
+
+// Douglas-Peucker: drop shape points within the tolerance of the line through their neighbours
+function simplifyGeometry(points, toleranceMiles = GEOMETRY_TOLERANCE_MILES) {
+    if (points.length < 3) return points;
+    const scaleLng = Math.cos(points[0].lat * Math.PI / 180);
+    const offset = (p, a, b) => {
+        const ax = (a.lng - p.lng) * scaleLng;
+        const ay = a.lat - p.lat;
+        const bx = (b.lng - p.lng) * scaleLng;
+        const by = b.lat - p.lat;
+        const lengthSquared = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)) : 0;
+        return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)) * MILES_PER_DEGREE;
+    };
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let farthest = -1;
+        let farthestMiles = toleranceMiles;
+        for (let i = first + 1; i < last; i++) {
+            const miles = offset(points[i], points[first], points[last]);
+            if (miles > farthestMiles) {
+                farthest = i;
+                farthestMiles = miles;
+            }
+        }
+        if (farthest >= 0) {
+            keep[farthest] = true;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Create a route cache backed by a JSON file
+ * @param {Object} [options] - {file, precision}
+ */
+function createRouteCache(options = {}) {
+    const file = options.file || DEFAULT_CACHE_FILE;
+    const precision = options.precision || DEFAULT_PRECISION;
+
+    let entries = {};
+    if (fs.existsSync(file)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+        } catch (error) {
+            console.warn(`Warning: Ignoring unreadable route cache ${file}: ${error.message}`);
+        }
+    }
+
+    const stats = { hits: 0, misses: 0 };
+    let unsaved = 0;
+
+    function key(providerName, from, to) {
+        const fmt = c => `${c.lat.toFixed(precision)},${c.lng.toFixed(precision)}`;
+        return `${providerName}|${fmt(from)};${fmt(to)}`;
+    }
+
+    // Lookup without touching the hit/miss stats
+    function has(providerName, from, to) {
+        return key(providerName, from, to) in entries;
+    }
+
+    /**
+     * A cached leg
+     * @param {Object} [options] - {geometry: true} to count legs cached without their shape as misses
+     * @returns {Object|null} - {distanceMiles, durationHours, [geometry]}
+     */
+    function get(providerName, from, to, options = {}) {
+        const entry = entries[key(providerName, from, to)];
+        if (entry && (!options.geometry || entry.geometry)) {
+            stats.hits++;
+            const route = { distanceMiles: entry.distanceMiles, durationHours: entry.durationHours };
+            if (options.geometry) {
+                route.geometry = decodePolyline(entry.geometry, GEOMETRY_PRECISION);
+            }
+            return route;
+        }
+        stats.misses++;
+        return null;
+    }
+
+    function set(providerName, from, to, route) {
+        const entry = {
+            distanceMiles: route.distanceMiles,
+            durationHours: route.durationHours,
+            cachedAt: new Date().toISOString()
+        };
+        if (route.geometry && route.geometry.length >= 2) {
+            entry.geometry = encodePolyline(simplifyGeometry(route.geometry), GEOMETRY_PRECISION);
+        }
+        entries[key(providerName, from, to)] = entry;
+        unsaved++;
+        if (unsaved >= AUTOSAVE_EVERY) {
+            save();
+        }
+    }
+
+    function save() {
+        if (unsaved === 0 && fs.existsSync(file)) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ precision, entries }));
+        unsaved = 0;
+    }
+
+    /**
+     * Remove entries, optionally only for one provider (toll-free routes included) or older than a date
+     * @param {Object} [filter] - {provider, olderThan: Date}
+     * @returns {number} - Entries removed
+     */
+    function invalidate(filter = {}) {
+        let removed = 0;
+        for (const [entryKey, entry] of Object.entries(entries)) {
+            if (filter.provider && entryKey.split(/[|:]/)[0] !== filter.provider) continue;
+            if (filter.olderThan && new Date(entry.cachedAt) >= filter.olderThan) continue;
+            delete entries[entryKey];
+            removed++;
+        }
+        if (removed > 0) {
+            unsaved += removed;
+            save();
+        }
+        return removed;
+    }
+
+    // Entry counts per provider ("osrm:avoidTolls" counted on its own)
+    function describe() {
+        const byProvider = {};
+        for (const entryKey of Object.keys(entries)) {
+            const providerName = entryKey.split('|')[0];
+            byProvider[providerName] = (byProvider[providerName] || 0) + 1;
+        }
+        return { file, precision, size: Object.keys(entries).length, byProvider };
+    }
+
+    /**
+     * Every cached leg, optionally of one provider (its default routes, not the toll-free ones)
+     * @param {string} [providerName]
+     * @returns {Array<Object>} - [{provider, from, to, distanceMiles, durationHours}] (rounded coordinates)
+     */
+    function list(providerName) {
+        const parse = text => {
+            const [lat, lng] = text.split(',').map(Number);
+            return { lat, lng };
+        };
+        return Object.keys(entries)
+            .filter(entryKey => !providerName || entryKey.startsWith(`${providerName}|`))
+            .map(entryKey => {
+                const [provider, legKey] = entryKey.split('|');
+                const [from, to] = legKey.split(';').map(parse);
+                const entry = entries[entryKey];
+                return { provider, from, to, distanceMiles: entry.distanceMiles, durationHours: entry.durationHours };
+            });
+    }
+
+    function summary() {
+        const lookups = stats.hits + stats.misses;
+        const hitRate = lookups > 0 ? (stats.hits / lookups * 100).toFixed(1) : '0.0';
+        return `Route cache: ${stats.hits} hits, ${stats.misses} misses (${hitRate}% hit rate), ${Object.keys(entries).length} legs stored`;
+    }
+
+    return { file, stats, has, get, set, save, invalidate, describe, list, summary };
+}
+
+/**
+ * Wrap a routing provider so answered legs are served from the cache
+ *
+ * The wrapper takes over the provider's request delay and only waits
+ * before real requests, so cache hits cost nothing. Cached legs are
+ * returned with source 'cache' (see the engine's leg sources).
+ *
+ * @param {Object} provider - See lib/routing-providers.js
+ * @param {Object} cache - From createRouteCache()
+ */
+function createCachedProvider(provider, cache) {
+    const delayMs = provider.requestDelayMs || 0;
+    return {
+        ...provider,
+        requestDelayMs: 0,
+        routeCache: cache,
+        async route(from, to, options = {}) {
+            const cacheName = options.avoidTolls && provider.supportsTollAvoidance ? `${provider.name}:avoidTolls` : provider.name;
+            const cached = cache.get(cacheName, from, to, { geometry: options.geometry });
+            if (cached) {
+                return { ...cached, source: 'cache' };
+            }
+            if (delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+            const route = await provider.route(from, to, options);
+            cache.set(cacheName, from, to, route);
+            return route;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_CACHE_FILE,
+    createRouteCache,
+    createCachedProvider
+};
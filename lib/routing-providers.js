@@ -0,0 +1,560 @@
+/**
+ * Routing Providers
+ *
+ * Every provider exposes the same interface:
+ *
+ *   provider.name             - 'osrm', 'valhalla', 'graphhopper', 'fixture', 'haversine' or 'detour'
+ *   provider.requestDelayMs   - Delay the engine waits before each request
+ *                               (0 for providers made by createRoutingProvider,
+ *                               whose requests go through lib/request-scheduler.js)
+ *   provider.route(from, to, [options]) - Promise<{distanceMiles, durationHours, [geometry]}>
+ *
+ * options.geometry asks for the route shape ([{lat, lng}], used to find toll
+ * gantries); options.avoidTolls asks for a toll-free route from providers
+ * with supportsTollAvoidance (OSRM exclude=toll, Valhalla use_tolls=0).
+ * Providers without road geometry ignore both.
+ *
+ * route() rejects when the provider has no answer for a leg; the engine
+ * then falls back to the straight-line model. Network providers made by
+ * createRoutingProvider are paced by the shared request scheduler, which
+ * retries 429 and 5xx responses before a leg counts as failed.
+ *
+ * OSRM also offers provider.table(coords) for many-to-many requests (up to
+ * provider.maxTableSize coordinates); see buildLegTable().
+ *
+ * Provider choice and base URL come from config/routing.json:
+ *
+ *   {
+ *     "provider": "osrm",
+ *     "providers": {
+ *       "osrm": { "baseUrl": "http://localhost:5000", "ratePerSecond": 0, "concurrency": 8 },
+ *       ...
+ *     }
+ *   }
+ *
+ * ratePerSecond, burst, concurrency and retries set the provider's
+ * scheduler limits; an older "requestDelayMs" is read as one request per
+ * that many milliseconds.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteRouting`
+ * in the browser (after lib/request-scheduler.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./request-scheduler'));
+    } else {
+        root.CommuteRouting = factory(root.CommuteScheduler);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteScheduler) {
+    'use strict';
+
+    const EARTH_RADIUS_MILES = 3959;
+    const METERS_TO_MILES = 0.000621371;
+    const FALLBACK_SPEED_MPH = 30;
+    const FIXTURE_PRECISION = 5; // Decimal places in fixture keys (~1 m)
+    const DETOUR_SITE_PRECISION = 4; // Decimal places matching detour model sites (the route cache's)
+
+    const DEFAULT_CONFIG = {
+        provider: 'osrm',
+        providers: {
+            osrm: { baseUrl: 'https://router.project-osrm.org', profile: 'driving', ratePerSecond: 5, concurrency: 2, maxTableSize: 100 },
+            valhalla: { baseUrl: 'http://localhost:8002', costing: 'auto', ratePerSecond: 0, concurrency: 8 },
+            graphhopper: { baseUrl: 'http://localhost:8989', profile: 'car', apiKey: '', ratePerSecond: 0, concurrency: 8 },
+            fixture: { file: 'data/route-fixtures.json' },
+            haversine: { speedMph: FALLBACK_SPEED_MPH }
+        }
+    };
+
+    /**
+     * Calculate distance between two points using Haversine formula
+     * @returns {number} - Distance in miles
+     */
+    function haversineDistance(from, to) {
+        const lat1 = from.lat * Math.PI / 180;
+        const lat2 = to.lat * Math.PI / 180;
+        const deltaLat = (to.lat - from.lat) * Math.PI / 180;
+        const deltaLng = (to.lng - from.lng) * Math.PI / 180;
+
+        const a = Math.sin(deltaLat/2) * Math.sin(deltaLat/2) +
+                  Math.cos(lat1) * Math.cos(lat2) *
+                  Math.sin(deltaLng/2) * Math.sin(deltaLng/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return EARTH_RADIUS_MILES * c;
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Default transport: fetch() in the browser and Node 18+; non-2xx responses reject with their status
+    function defaultFetchJson(url) {
+        return CommuteScheduler.fetchJson(url);
+    }
+
+    // Strip trailing slashes so base URLs can be written either way
+    function trimBaseUrl(url) {
+        return String(url).replace(/\/+$/, '');
+    }
+
+    /**
+     * Decode an encoded polyline (Valhalla uses precision 6)
+     * @returns {Array<Object>} - [{lat, lng}]
+     */
+    function decodePolyline(encoded, precision = 6) {
+        const factor = Math.pow(10, precision);
+        const points = [];
+        let index = 0;
+        let lat = 0;
+        let lng = 0;
+        const next = () => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return result & 1 ? ~(result >> 1) : result >> 1;
+        };
+        while (index < encoded.length) {
+            lat += next();
+            lng += next();
+            points.push({ lat: lat / factor, lng: lng / factor });
+        }
+        return points;
+    }
+
+    /**
+     * Encode [{lat, lng}] as a polyline (the inverse of decodePolyline)
+     * @returns {string}
+     */
+    function encodePolyline(points, precision = 6) {
+        const factor = Math.pow(10, precision);
+        let encoded = '';
+        let lastLat = 0;
+        let lastLng = 0;
+        const push = value => {
+            let rest = value < 0 ? ~(value << 1) : value << 1;
+            while (rest >= 0x20) {
+                encoded += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+                rest >>= 5;
+            }
+            encoded += String.fromCharCode(rest + 63);
+        };
+        points.forEach(point => {
+            const lat = Math.round(point.lat * factor);
+            const lng = Math.round(point.lng * factor);
+            push(lat - lastLat);
+            push(lng - lastLng);
+            lastLat = lat;
+            lastLng = lng;
+        });
+        return encoded;
+    }
+
+    // GeoJSON [lng, lat] pairs → [{lat, lng}]
+    function fromLngLat(coordinates) {
+        return coordinates.map(([lng, lat]) => ({ lat, lng }));
+    }
+
+    // ============================================================================
+    // Providers
+    // ============================================================================
+
+    /**
+     * Straight-line distance at a constant speed (no network)
+     * @param {Object} [settings] - {speedMph}
+     */
+    function createHaversineProvider(settings = {}) {
+        const speedMph = settings.speedMph || FALLBACK_SPEED_MPH;
+        return {
+            name: 'haversine',
+            requestDelayMs: 0,
+            route(from, to) {
+                const distanceMiles = haversineDistance(from, to);
+                return Promise.resolve({ distanceMiles, durationHours: distanceMiles / speedMph });
+            }
+        };
+    }
+
+    // Key a site the way the route cache rounds coordinates
+    function detourSiteKey(coords) {
+        return `${coords.lat.toFixed(DETOUR_SITE_PRECISION)},${coords.lng.toFixed(DETOUR_SITE_PRECISION)}`;
+    }
+
+    /**
+     * Road estimate of a leg from a fitted detour model (scripts/calibrate-detour.js)
+     *
+     * Road miles are the straight-line miles times the detour factor of the
+     * leg's distance band, at the band's speed; a leg to or from a fitted site
+     * is scaled by that site's distance and time factors (averaged when both
+     * ends are sites).
+     *
+     * @param {Object} model - {bands: [{maxMiles, detourFactor, speedMph}], sites: [{lat, lng, distanceFactor, timeFactor}]}
+     * @returns {Object} - {distanceMiles, durationHours}
+     */
+    function estimateDetourLeg(model, from, to) {
+        const straightMiles = haversineDistance(from, to);
+        const band = model.bands.find(b => b.maxMiles === null || straightMiles <= b.maxMiles) ||
+            model.bands[model.bands.length - 1];
+        const sites = (model.sites || []).filter(site =>
+            detourSiteKey(site) === detourSiteKey(from) || detourSiteKey(site) === detourSiteKey(to));
+        const average = field => sites.length > 0 ? sites.reduce((sum, site) => sum + site[field], 0) / sites.length : 1;
+
+        const roadMiles = straightMiles * band.detourFactor;
+        return {
+            distanceMiles: roadMiles * average('distanceFactor'),
+            durationHours: roadMiles / band.speedMph * average('timeFactor')
+        };
+    }
+
+    /**
+     * Straight-line distance corrected by a fitted detour model (no network)
+     * Used by the engine for its straight-line scan and fallback legs
+     * @param {Object} settings - {model} from data/detour-model.json
+     */
+    function createDetourProvider(settings = {}) {
+        const model = settings.model;
+        if (!model || !Array.isArray(model.bands) || model.bands.length === 0) {
+            throw new Error('Detour model has no distance bands');
+        }
+        return {
+            name: 'detour',
+            requestDelayMs: 0,
+            route(from, to) {
+                return Promise.resolve(estimateDetourLeg(model, from, to));
+            }
+        };
+    }
+
+    /**
+     * OSRM /route and /table services (public demo server or a self-hosted extract)
+     * @param {Object} settings - {baseUrl, profile, requestDelayMs, maxTableSize}
+     * @param {Function} fetchJson - (url) => Promise<json>
+     */
+    function createOsrmProvider(settings = {}, fetchJson = defaultFetchJson) {
+        const baseUrl = trimBaseUrl(settings.baseUrl || DEFAULT_CONFIG.providers.osrm.baseUrl);
+        const profile = settings.profile || 'driving';
+        const toMiles = row => row.map(meters => meters === null ? null : meters * METERS_TO_MILES);
+        const toHours = row => row.map(seconds => seconds === null ? null : seconds / 3600);
+        return {
+            name: 'osrm',
+            baseUrl,
+            requestDelayMs: settings.requestDelayMs || 0,
+            maxTableSize: settings.maxTableSize || DEFAULT_CONFIG.providers.osrm.maxTableSize,
+            /**
+             * Every-to-every distances and durations between coords
+             * @returns {Promise<Object>} - {distancesMiles[i][j], durationsHours[i][j]}, null where unroutable
+             */
+            async table(coords) {
+                const path = coords.map(c => `${c.lng},${c.lat}`).join(';');
+                const data = await fetchJson(`${baseUrl}/table/v1/${profile}/${path}?annotations=duration,distance`);
+                if (data.code !== 'Ok' || !data.durations || !data.distances) {
+                    throw new Error(`OSRM table request failed (${data.message || data.code || 'unknown'})`);
+                }
+                return {
+                    distancesMiles: data.distances.map(toMiles),
+                    durationsHours: data.durations.map(toHours)
+                };
+            },
+            supportsTollAvoidance: true,
+            async route(from, to, options = {}) {
+                const overview = options.geometry ? 'overview=full&geometries=geojson' : 'overview=false';
+                const exclude = options.avoidTolls ? '&exclude=toll' : '';
+                const url = `${baseUrl}/route/v1/${profile}/${from.lng},${from.lat};${to.lng},${to.lat}?${overview}${exclude}`;
+                const data = await fetchJson(url);
+                if (!data.routes || data.routes.length === 0) {
+                    throw new Error(`OSRM returned no route (${data.code || 'unknown'})`);
+                }
+                const route = {
+                    distanceMiles: data.routes[0].distance * METERS_TO_MILES,
+                    durationHours: data.routes[0].duration / 3600 // seconds to hours
+                };
+                if (options.geometry && data.routes[0].geometry) {
+                    route.geometry = fromLngLat(data.routes[0].geometry.coordinates);
+                }
+                return route;
+            }
+        };
+    }
+
+    /**
+     * Valhalla /route service
+     * @param {Object} settings - {baseUrl, costing, requestDelayMs}
+     * @param {Function} fetchJson - (url) => Promise<json>
+     */
+    function createValhallaProvider(settings = {}, fetchJson = defaultFetchJson) {
+        const baseUrl = trimBaseUrl(settings.baseUrl || DEFAULT_CONFIG.providers.valhalla.baseUrl);
+        const costing = settings.costing || 'auto';
+        return {
+            name: 'valhalla',
+            baseUrl,
+            requestDelayMs: settings.requestDelayMs || 0,
+            supportsTollAvoidance: true,
+            async route(from, to, options = {}) {
+                const request = {
+                    locations: [{ lat: from.lat, lon: from.lng }, { lat: to.lat, lon: to.lng }],
+                    costing,
+                    directions_options: { directions_type: 'none', units: 'miles' }
+                };
+                if (options.avoidTolls) {
+                    request.costing_options = { [costing]: { use_tolls: 0 } };
+                }
+                const url = `${baseUrl}/route?json=${encodeURIComponent(JSON.stringify(request))}`;
+                const data = await fetchJson(url);
+                if (!data.trip || !data.trip.summary) {
+                    throw new Error(`Valhalla returned no route (${data.error || 'unknown'})`);
+                }
+                const route = {
+                    distanceMiles: data.trip.summary.length,
+                    durationHours: data.trip.summary.time / 3600
+                };
+                if (options.geometry && data.trip.legs) {
+                    route.geometry = data.trip.legs.flatMap(leg => decodePolyline(leg.shape, 6));
+                }
+                return route;
+            }
+        };
+    }
+
+    /**
+     * GraphHopper /route service
+     * @param {Object} settings - {baseUrl, profile, apiKey, requestDelayMs}
+     * @param {Function} fetchJson - (url) => Promise<json>
+     */
+    function createGraphHopperProvider(settings = {}, fetchJson = defaultFetchJson) {
+        const baseUrl = trimBaseUrl(settings.baseUrl || DEFAULT_CONFIG.providers.graphhopper.baseUrl);
+        const profile = settings.profile || 'car';
+        const keyParam = settings.apiKey ? `&key=${encodeURIComponent(settings.apiKey)}` : '';
+        return {
+            name: 'graphhopper',
+            baseUrl,
+            requestDelayMs: settings.requestDelayMs || 0,
+            supportsTollAvoidance: false, // Needs a POSTed custom model
+            async route(from, to, options = {}) {
+                const points = options.geometry ? 'calc_points=true&points_encoded=false' : 'calc_points=false';
+                const url = `${baseUrl}/route?point=${from.lat},${from.lng}&point=${to.lat},${to.lng}` +
+                    `&profile=${profile}&${points}${keyParam}`;
+                const data = await fetchJson(url);
+                if (!data.paths || data.paths.length === 0) {
+                    throw new Error(`GraphHopper returned no route (${data.message || 'unknown'})`);
+                }
+                const route = {
+                    distanceMiles: data.paths[0].distance * METERS_TO_MILES,
+                    durationHours: data.paths[0].time / 3600000 // milliseconds to hours
+                };
+                if (options.geometry && data.paths[0].points) {
+                    route.geometry = fromLngLat(data.paths[0].points.coordinates);
+                }
+                return route;
+            }
+        };
+    }
+
+    // Key a leg the way fixture files store it: "lat,lng;lat,lng"
+    function fixtureKey(from, to) {
+        const fmt = c => `${c.lat.toFixed(FIXTURE_PRECISION)},${c.lng.toFixed(FIXTURE_PRECISION)}`;
+        return `${fmt(from)};${fmt(to)}`;
+    }
+
+    /**
+     * Recorded routes played back from a fixture object
+     * @param {Object} settings - {fixtures: {"lat,lng;lat,lng": {distanceMiles, durationHours}}}
+     */
+    function createFixtureProvider(settings = {}) {
+        const fixtures = settings.fixtures || {};
+        return {
+            name: 'fixture',
+            requestDelayMs: 0,
+            route(from, to) {
+                const leg = fixtures[fixtureKey(from, to)];
+                if (!leg) {
+                    return Promise.reject(new Error(`No recorded route for ${fixtureKey(from, to)}`));
+                }
+                return Promise.resolve({ distanceMiles: leg.distanceMiles, durationHours: leg.durationHours });
+            }
+        };
+    }
+
+    // ============================================================================
+    // Leg Tables
+    // ============================================================================
+
+    /**
+     * Fetch every point-to-site, site-to-point and site-to-site leg with
+     * many-to-many table requests, none larger than provider.maxTableSize
+     *
+     * Points are sent in chunks alongside the full site list, so 400 grid
+     * points and ~15 sites take 5 requests. Site lists that leave no room for
+     * points are split in halves of maxTableSize: every point chunk goes out
+     * with every site chunk, and each pair of site chunks gets one request
+     * for the site-to-site legs between them.
+     *
+     * @param {Object} provider - Provider with a table() method
+     * @param {Array<Object>} points - Home candidates {lat, lng}
+     * @param {Array<Object>} sites - Rotation sites and campus {lat, lng}
+     * @param {Object} [options] - {log}
+     * @returns {Promise<Object>} - {"lat,lng;lat,lng": {distanceMiles, durationHours}} (fixture keys)
+     * @throws {Error} - When maxTableSize is below 2 (no leg fits in a request)
+     */
+    async function buildLegTable(provider, points, sites, options = {}) {
+        const log = options.log || (() => {});
+        const maxTableSize = provider.maxTableSize;
+        if (!(maxTableSize >= 2)) {
+            throw new Error(`maxTableSize ${maxTableSize} of ${provider.name} is too small for a table request (at least 2)`);
+        }
+
+        const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+        const siteChunkSize = sites.length < maxTableSize ? Math.max(1, sites.length) : Math.floor(maxTableSize / 2);
+        const siteChunks = chunk(sites, siteChunkSize);
+        const pointChunks = chunk(points, maxTableSize - siteChunkSize);
+
+        // [{homes, coords}]: the first `homes` coords are points, whose legs to each other are skipped
+        const requests = [];
+        siteChunks.forEach(siteChunk => {
+            pointChunks.forEach(pointChunk => requests.push({ homes: pointChunk.length, coords: pointChunk.concat(siteChunk) }));
+        });
+        siteChunks.forEach((first, i) => {
+            if (pointChunks.length === 0) requests.push({ homes: 0, coords: first });
+            siteChunks.slice(i + 1).forEach(second => requests.push({ homes: 0, coords: first.concat(second) }));
+        });
+        const legs = {};
+
+        for (let i = 0; i < requests.length; i++) {
+            const { homes, coords } = requests[i];
+
+            if (i > 0 && provider.requestDelayMs > 0) {
+                await sleep(provider.requestDelayMs);
+            }
+            const table = await provider.table(coords);
+
+            coords.forEach((from, a) => {
+                coords.forEach((to, b) => {
+                    // Home-to-home legs are never part of a commute
+                    if (a === b || (a < homes && b < homes)) return;
+                    const durationHours = table.durationsHours[a][b];
+                    const distanceMiles = table.distancesMiles[a][b];
+                    if (durationHours === null || distanceMiles === null) return;
+                    legs[fixtureKey(from, to)] = { distanceMiles, durationHours };
+                });
+            });
+
+            log(`  Table request ${i + 1}/${requests.length}: ${coords.length} coordinates`);
+        }
+
+        return legs;
+    }
+
+    /**
+     * Answer legs from a prebuilt leg table, asking the wrapped provider
+     * only for legs the table lacks
+     *
+     * The wrapper keeps the provider's name so cache keys stay the same, and
+     * takes over its request delay so table hits are not throttled.
+     *
+     * @param {Object} provider - Provider used for missing legs
+     * @param {Object} legs - From buildLegTable(); may be filled in later
+     */
+    function createLegTableProvider(provider, legs) {
+        const delayMs = provider.requestDelayMs || 0;
+        return {
+            ...provider,
+            requestDelayMs: 0,
+            async route(from, to, options = {}) {
+                // The table has no geometry and no toll-free variant
+                const leg = !options.geometry && !options.avoidTolls && legs[fixtureKey(from, to)];
+                if (leg) {
+                    return { distanceMiles: leg.distanceMiles, durationHours: leg.durationHours };
+                }
+                if (delayMs > 0) {
+                    await sleep(delayMs);
+                }
+                return provider.route(from, to, options);
+            }
+        };
+    }
+
+    // ============================================================================
+    // Configuration
+    // ============================================================================
+
+    /**
+     * Merge a user config over the defaults and pick the active provider
+     * @param {Object} [config] - Parsed config/routing.json
+     * @returns {Object} - {name, settings}
+     */
+    function resolveProviderConfig(config = {}) {
+        const name = config.provider || DEFAULT_CONFIG.provider;
+        const userSettings = { ...((config.providers && config.providers[name]) || {}) };
+        // Older configs pace requests with a fixed delay
+        if (userSettings.ratePerSecond === undefined && userSettings.requestDelayMs !== undefined) {
+            userSettings.ratePerSecond = userSettings.requestDelayMs > 0 ? 1000 / userSettings.requestDelayMs : 0;
+        }
+        const settings = { ...(DEFAULT_CONFIG.providers[name] || {}), ...userSettings };
+        return { name, settings };
+    }
+
+    /**
+     * Scheduler limits from a provider's settings
+     * @param {Object} settings - {ratePerSecond, burst, concurrency, retries} (see resolveProviderConfig)
+     * @returns {Object} - Limits for CommuteScheduler (unset fields keep the scheduler defaults)
+     */
+    function getSchedulerLimits(settings = {}) {
+        const limits = {};
+        ['ratePerSecond', 'burst', 'concurrency', 'retries'].forEach(field => {
+            if (settings[field] !== undefined) limits[field] = settings[field];
+        });
+        return limits;
+    }
+
+    /**
+     * Create the provider named in a routing config
+     * Network providers send their requests through the request scheduler
+     * @param {Object} [config] - Parsed config/routing.json
+     * @param {Object} [options] - {fetchJson, fixtures, scheduler (default: the shared scheduler)}
+     */
+    function createRoutingProvider(config = {}, options = {}) {
+        const { name, settings } = resolveProviderConfig(config);
+        const fetchJson = options.fetchJson || defaultFetchJson;
+        const scheduled = provider => CommuteScheduler.createScheduledProvider(
+            provider, options.scheduler || CommuteScheduler.getSharedScheduler(), getSchedulerLimits(settings));
+
+        switch (name) {
+            case 'osrm':
+                return scheduled(createOsrmProvider(settings, fetchJson));
+            case 'valhalla':
+                return scheduled(createValhallaProvider(settings, fetchJson));
+            case 'graphhopper':
+                return scheduled(createGraphHopperProvider(settings, fetchJson));
+            case 'fixture':
+                return createFixtureProvider({ ...settings, fixtures: options.fixtures || settings.fixtures });
+            case 'haversine':
+                return createHaversineProvider(settings);
+            default:
+                throw new Error(`Unknown routing provider: ${name}`);
+        }
+    }
+
+    return {
+        DEFAULT_CONFIG,
+        FALLBACK_SPEED_MPH,
+        haversineDistance,
+        fixtureKey,
+        decodePolyline,
+        encodePolyline,
+        createHaversineProvider,
+        estimateDetourLeg,
+        createDetourProvider,
+        createOsrmProvider,
+        createValhallaProvider,
+        createGraphHopperProvider,
+        createFixtureProvider,
+        buildLegTable,
+        createLegTableProvider,
+        resolveProviderConfig,
+        getSchedulerLimits,
+        createRoutingProvider
+    };
+});
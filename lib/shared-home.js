@@ -0,0 +1,138 @@
+/**
+ * Shared Home Search
+ *
+ * Optimal home for two or more people living together, each with their
+ * own schedule:
+ *
+ *   {name, weight, trackData}                            - a Tracks.csv track
+ *   {name, weight, destination, daysPerWeek, weeks,      - a fixed daily destination
+ *    start, end}                                           (engine.calculateFixedCommute)
+ *
+ * Objectives over the weighted yearly hours w·h of each person:
+ *
+ *   sum   - Σ w·h (least time in the car for the household)
+ *   max   - max w·h (the worst-off person as well off as possible)
+ *   blend - (1 - fairness)·Σ w·h + fairness·n·max w·h, fairness 0-1
+ *
+ * Like findOptimalLocation, the grid is scanned on straight-line legs and
+ * the best candidates are refined with real routes. The trade-off frontier
+ * is every scanned point no other point beats for everyone at once.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteSharedHome`
+ * in the browser (after lib/commute-engine.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./commute-engine'));
+    } else {
+        root.CommuteSharedHome = factory(root.CommuteEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteEngine) {
+    'use strict';
+
+    const OBJECTIVES = ['sum', 'max', 'blend'];
+    const DEFAULT_FAIRNESS = 0.5;
+    const MAX_FRONTIER_POINTS = 12;
+
+    /**
+     * Household score of one point (lower is better)
+     * @param {Array<number>} hours - Yearly hours per person
+     * @param {Array<number>} weights
+     * @param {string} objective - 'sum', 'max' or 'blend'
+     * @param {number} [fairness] - Blend weight of the worst-off person, 0-1
+     */
+    function scoreHours(hours, weights, objective, fairness = DEFAULT_FAIRNESS) {
+        const weighted = hours.map((h, i) => h * weights[i]);
+        const sum = weighted.reduce((total, h) => total + h, 0);
+        const max = Math.max(...weighted);
+        if (objective === 'max') return max;
+        if (objective === 'blend') return (1 - fairness) * sum + fairness * weighted.length * max;
+        return sum;
+    }
+
+    /**
+     * Points no other point beats for every person at once, thinned to at
+     * most maxPoints spread along the first person's hours
+     * @param {Array<Object>} points - [{hours: [...]}]
+     */
+    function getFrontier(points, maxPoints = MAX_FRONTIER_POINTS) {
+        const frontier = points.filter(point => !points.some(other =>
+            other !== point &&
+            other.hours.every((h, i) => h <= point.hours[i]) &&
+            other.hours.some((h, i) => h < point.hours[i])));
+        frontier.sort((a, b) => a.hours[0] - b.hours[0]);
+        if (frontier.length <= maxPoints) return frontier;
+        return Array.from({ length: maxPoints }, (_, k) => frontier[Math.round(k * (frontier.length - 1) / (maxPoints - 1))]);
+    }
+
+    /**
+     * Search the grid for the best shared home
+     * @param {Object} engine - From CommuteEngine.createCommuteEngine()
+     * @param {Array<Object>} people - See the module header; weight defaults to 1
+     * @param {Object} [options] - {objective ('sum'), fairness, gridSize, bounds, refineCount (5), log, signal}
+     * @returns {Promise<Object>} - {best, refined, frontier}; each point is {coords, hours: [...], score},
+     *          best also has burdens: [{name, weight, hours, miles}]
+     */
+    async function findSharedHome(engine, people, options = {}) {
+        const objective = OBJECTIVES.includes(options.objective) ? options.objective : 'sum';
+        const fairness = options.fairness === undefined ? DEFAULT_FAIRNESS : options.fairness;
+        const refineCount = options.refineCount || 5;
+        const log = options.log || (() => {});
+        const weights = people.map(person => person.weight === undefined ? 1 : person.weight);
+
+        async function commute(person, coords, useApi) {
+            if (person.trackData) {
+                return engine.calculateTrackCommute(person.trackData, coords, useApi);
+            }
+            return engine.calculateFixedCommute(person.destination, coords, useApi, person);
+        }
+
+        async function evaluate(coords, useApi) {
+            const results = [];
+            for (const person of people) {
+                results.push(await commute(person, coords, useApi));
+            }
+            const hours = results.map(result => result.totalHours);
+            return { coords, hours, score: scoreHours(hours, weights, objective, fairness), results };
+        }
+
+        const testPoints = CommuteEngine.generateGridPoints(options.gridSize, options.bounds);
+        log(`Phase 1: Scanning ${testPoints.length} grid points for ${people.length} people...`);
+        const scanned = [];
+        const checkpoint = CommuteEngine.createScanCheckpoint(options.signal);
+        for (const coords of testPoints) {
+            await checkpoint();
+            const point = await evaluate(coords, false);
+            delete point.results;
+            scanned.push(point);
+        }
+        scanned.sort((a, b) => a.score - b.score);
+
+        log(`Phase 2: Refining top ${refineCount} candidates with API...`);
+        const refined = [];
+        for (const candidate of scanned.slice(0, refineCount)) {
+            refined.push(await evaluate(candidate.coords, true));
+        }
+        refined.sort((a, b) => a.score - b.score);
+
+        const best = refined[0];
+        best.burdens = people.map((person, i) => ({
+            name: person.name,
+            weight: weights[i],
+            hours: best.results[i].totalHours,
+            miles: best.results[i].totalMiles
+        }));
+        refined.forEach(point => delete point.results);
+
+        return { best, refined, frontier: getFrontier(scanned) };
+    }
+
+    return {
+        OBJECTIVES,
+        DEFAULT_FAIRNESS,
+        scoreHours,
+        getFrontier,
+        findSharedHome
+    };
+});
@@ -0,0 +1,139 @@
+/**
+ * Toll Model
+ *
+ * Prices the toll gantries a driven leg passes, from the optional
+ * data/Tolls.csv table:
+ *
+ *   Gantry,Road,Coordinates,Direction,SunPass Rate
+ *   Example Mainline,Florida's Turnpike,"26.0000, -80.2000",NB,1.25
+ *
+ * A leg pays a gantry when its route geometry passes within 0.03 miles of
+ * it heading the gantry's Direction (NB, SB, EB, WB or Both; blank = Both).
+ * Each gantry is paid at most once per leg. Legs without geometry
+ * (straight-line fallback, fixtures, leg tables) pay nothing; the route
+ * cache keeps the shape of priced legs, so they are fetched once.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteTolls`
+ * in the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommuteTolls = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const GANTRY_RADIUS_MILES = 0.03; // ~50 m, tighter than the gap to a parallel road
+    const HEADING_TOLERANCE_DEGREES = 60;
+    const MILES_PER_DEGREE = 69.17;
+    const DIRECTIONS = { NB: 0, EB: 90, SB: 180, WB: 270, BOTH: null };
+
+    /**
+     * Parse a Tolls.csv row's Direction
+     * @returns {string|null} - "NB", "EB", "SB", "WB" or "BOTH"; null when unknown
+     */
+    function parseDirection(value) {
+        const direction = String(value || '').trim().toUpperCase() || 'BOTH';
+        return direction in DIRECTIONS ? direction : null;
+    }
+
+    /**
+     * Build the gantry table from Tolls.csv rows
+     * Rows with bad coordinates, direction or rate are skipped (lint-data.js reports them)
+     * @param {Array<Object>} rows - [{Gantry, Road, Coordinates, Direction, 'SunPass Rate'}]
+     * @returns {Array<Object>} - [{name, road, lat, lng, direction, rate}]
+     */
+    function buildGantries(rows) {
+        const gantries = [];
+        rows.forEach(row => {
+            const [lat, lng] = String(row.Coordinates || '').replace(/"/g, '').split(',').map(s => parseFloat(s));
+            const direction = parseDirection(row.Direction);
+            const rate = parseFloat(row['SunPass Rate']);
+            if (isNaN(lat) || isNaN(lng) || !direction || isNaN(rate) || rate < 0) return;
+            gantries.push({
+                name: String(row.Gantry || '').trim(),
+                road: String(row.Road || '').trim(),
+                lat,
+                lng,
+                direction,
+                rate
+            });
+        });
+        return gantries;
+    }
+
+    // Compass bearing of a short segment, in degrees
+    function bearing(a, b) {
+        const dx = (b.lng - a.lng) * Math.cos(a.lat * Math.PI / 180);
+        const dy = b.lat - a.lat;
+        return (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+    }
+
+    // Miles from a point to segment a-b (flat projection around the point)
+    function distanceToSegment(point, a, b) {
+        const scaleLng = Math.cos(point.lat * Math.PI / 180) * MILES_PER_DEGREE;
+        const ax = (a.lng - point.lng) * scaleLng;
+        const ay = (a.lat - point.lat) * MILES_PER_DEGREE;
+        const bx = (b.lng - point.lng) * scaleLng;
+        const by = (b.lat - point.lat) * MILES_PER_DEGREE;
+        const lengthSquared = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)) : 0;
+        return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+    }
+
+    function headingMatches(direction, segmentBearing) {
+        const target = DIRECTIONS[direction];
+        if (target === null) return true;
+        const difference = Math.abs(((segmentBearing - target) % 360 + 540) % 360 - 180);
+        return difference <= HEADING_TOLERANCE_DEGREES;
+    }
+
+    /**
+     * Create a toll model over a gantry table
+     * @param {Array<Object>} [gantries] - From buildGantries()
+     * @returns {Object} - {enabled, gantries, getLegTolls}
+     */
+    function createTollModel(gantries = []) {
+        /**
+         * Gantries a route passes and their SunPass total
+         * @param {Array<Object>} geometry - [{lat, lng}] in driving order
+         * @returns {Object} - {cost, gantries: [names]}
+         */
+        function getLegTolls(geometry) {
+            const paid = [];
+            if (!geometry || geometry.length < 2) return { cost: 0, gantries: paid };
+
+            gantries.forEach(gantry => {
+                // A cheap box test first; most gantries are nowhere near the leg
+                const margin = GANTRY_RADIUS_MILES / MILES_PER_DEGREE * 2;
+                for (let i = 1; i < geometry.length; i++) {
+                    const a = geometry[i - 1];
+                    const b = geometry[i];
+                    if (gantry.lat < Math.min(a.lat, b.lat) - margin || gantry.lat > Math.max(a.lat, b.lat) + margin) continue;
+                    if (distanceToSegment(gantry, a, b) <= GANTRY_RADIUS_MILES && headingMatches(gantry.direction, bearing(a, b))) {
+                        paid.push(gantry);
+                        break;
+                    }
+                }
+            });
+
+            return {
+                cost: paid.reduce((sum, gantry) => sum + gantry.rate, 0),
+                gantries: paid.map(gantry => gantry.name)
+            };
+        }
+
+        return { enabled: gantries.length > 0, gantries, getLegTolls };
+    }
+
+    return {
+        GANTRY_RADIUS_MILES,
+        DIRECTIONS,
+        parseDirection,
+        buildGantries,
+        createTollModel
+    };
+});
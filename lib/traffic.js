@@ -0,0 +1,161 @@
+/**
+ * Traffic Model
+ *
+ * Routing providers return free-flow durations. This model scales each
+ * leg by a rush-hour multiplier for the hour the leg departs, so a
+ * Broward → Miami-Dade drive at 7 AM costs more than the same drive at noon.
+ *
+ * Multipliers come from config/traffic.json:
+ *
+ *   {
+ *     "enabled": true,
+ *     "defaultShift": { "start": "07:00", "end": "17:00" },
+ *     "profiles": {
+ *       "default": { "7": 1.4, "8": 1.35, "17": 1.45 },
+ *       "countyLine": { "7": 1.6, ... },
+ *       "weekend": { "12": 1.1 }
+ *     },
+ *     "corridors": [
+ *       { "name": "Broward ↔ Miami-Dade", "profile": "countyLine", "crossesLat": 25.957 },
+ *       { "name": "Downtown", "profile": "downtown", "bounds": {minLat, maxLat, minLng, maxLng} }
+ *     ]
+ *   }
+ *
+ * Profiles map the hour of departure (0-23) to a multiplier; hours left out
+ * are free flow (1.0). A leg uses the first corridor it matches: crossesLat
+ * when its ends lie on opposite sides of that latitude, bounds when both
+ * ends lie inside the box. Other legs use the "default" profile. Saturday
+ * and Sunday legs use the "weekend" profile on every corridor (free flow
+ * when it is left out).
+ *
+ * Morning legs (home → site) leave in time to arrive at the shift start;
+ * evening legs leave at the shift end. Blocks set their own hours with the
+ * Shift Start / Shift End columns of Variance.csv.
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteTraffic`
+ * in the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommuteTraffic = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_PROFILE = 'default';
+    const WEEKEND_PROFILE = 'weekend';
+    const WEEKEND_DAYS = ['Sat', 'Sun'];
+    const DEFAULT_SHIFT = { start: '07:00', end: '17:00' };
+
+    /**
+     * Parse a clock time
+     * @param {string} value - "7:00", "07:30" or "17:45"
+     * @returns {number|null} - Hours after midnight (7.5), or null when blank or malformed
+     */
+    function parseTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) return null;
+        return hours + minutes / 60;
+    }
+
+    // 7.5 → "07:30"
+    function formatTime(hours) {
+        const wrapped = ((hours % 24) + 24) % 24;
+        const h = Math.floor(wrapped);
+        const m = Math.round((wrapped - h) * 60);
+        return `${String(m === 60 ? h + 1 : h).padStart(2, '0')}:${String(m === 60 ? 0 : m).padStart(2, '0')}`;
+    }
+
+    function inBounds(point, bounds) {
+        return point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+               point.lng >= bounds.minLng && point.lng <= bounds.maxLng;
+    }
+
+    function matchesCorridor(corridor, from, to) {
+        if (typeof corridor.crossesLat === 'number') {
+            return (from.lat - corridor.crossesLat) * (to.lat - corridor.crossesLat) < 0;
+        }
+        if (corridor.bounds) {
+            return inBounds(from, corridor.bounds) && inBounds(to, corridor.bounds);
+        }
+        return false;
+    }
+
+    /**
+     * Create a traffic model from a parsed config/traffic.json
+     * @param {Object} [config] - See the file header; missing or enabled: false gives free flow
+     * @returns {Object} - {enabled, defaultShift, getCorridor, factor, getShift}
+     */
+    function createTrafficModel(config = {}) {
+        const enabled = config.enabled !== false && Boolean(config.profiles);
+        const profiles = config.profiles || {};
+        const corridors = config.corridors || [];
+        const defaultShift = {
+            start: parseTime((config.defaultShift || {}).start) ?? parseTime(DEFAULT_SHIFT.start),
+            end: parseTime((config.defaultShift || {}).end) ?? parseTime(DEFAULT_SHIFT.end)
+        };
+
+        corridors.forEach(corridor => {
+            if (!profiles[corridor.profile]) {
+                throw new Error(`Traffic corridor "${corridor.name}" uses unknown profile "${corridor.profile}"`);
+            }
+        });
+
+        /**
+         * Corridor a leg runs along
+         * @returns {Object|null} - corridors entry, or null for the default profile
+         */
+        function getCorridor(from, to) {
+            return corridors.find(corridor => matchesCorridor(corridor, from, to)) || null;
+        }
+
+        /**
+         * Multiplier on a leg's free-flow duration
+         * @param {Object} from - {lat, lng}
+         * @param {Object} to - {lat, lng}
+         * @param {number} departureHour - Hours after midnight (fractions allowed)
+         * @param {string} [day] - "Mon" ... "Sun"; weekdays when left out
+         * @returns {number}
+         */
+        function factor(from, to, departureHour, day) {
+            if (!enabled) return 1;
+            let profile;
+            if (WEEKEND_DAYS.includes(day)) {
+                profile = profiles[WEEKEND_PROFILE] || {};
+            } else {
+                const corridor = getCorridor(from, to);
+                profile = profiles[corridor ? corridor.profile : DEFAULT_PROFILE] || {};
+            }
+            const hour = ((Math.floor(departureHour) % 24) + 24) % 24;
+            const value = profile[String(hour)];
+            return typeof value === 'number' && value > 0 ? value : 1;
+        }
+
+        /**
+         * Shift hours of a block
+         * @param {Object} varData - Variance.csv row
+         * @returns {Object} - {start, end} in hours after midnight; blank cells use defaultShift
+         */
+        function getShift(varData) {
+            return {
+                start: parseTime(varData['Shift Start']) ?? defaultShift.start,
+                end: parseTime(varData['Shift End']) ?? defaultShift.end
+            };
+        }
+
+        return { enabled, defaultShift, getCorridor, factor, getShift };
+    }
+
+    return {
+        DEFAULT_SHIFT,
+        parseTime,
+        formatTime,
+        createTrafficModel
+    };
+});
@@ -0,0 +1,329 @@
+/**
+ * Transit Planner
+ *
+ * Door-to-door trips by transit or park-and-ride from local GTFS feeds
+ * (Tri-Rail, Brightline, county buses), for blocks the student does not
+ * drive to:
+ *
+ *   transit    - walk to a stop, ride, walk to the site
+ *   park-ride  - drive to a rail station, ride, walk to the site
+ *
+ * Trips use one vehicle (no transfers). Morning trips arrive by the shift
+ * start and evening trips leave after the shift end, on the timetable of
+ * that weekday (calendar.txt; feeds without it run every day). Fares come
+ * from fare_attributes.txt / fare_rules.txt by route and zone; time on rail
+ * (route_type 2, see studyRouteTypes) is reported as study-able.
+ *
+ * Feeds are passed in already parsed, one array of row objects per GTFS
+ * file: {name, stops, routes, trips, stop_times, calendar, fare_attributes,
+ * fare_rules}. Settings come from config/transit.json:
+ *
+ *   {
+ *     "enabled": true,
+ *     "feeds": ["tri-rail", "brightline"],   (folders under data/gtfs/)
+ *     "maxWalkMiles": 0.75,
+ *     "walkSpeedMph": 3,
+ *     "parkRideStations": 3,                 (nearest stations tried)
+ *     "studyRouteTypes": [2]
+ *   }
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteTransit`
+ * in the browser (after lib/routing-providers.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./routing-providers'));
+    } else {
+        root.CommuteTransit = factory(root.CommuteRouting);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CommuteRouting) {
+    'use strict';
+
+    const COMMUTE_MODES = ['drive', 'transit', 'park-ride'];
+    const DEFAULT_MODE = 'drive';
+    const GTFS_FILES = ['stops', 'routes', 'trips', 'stop_times', 'calendar', 'fare_attributes', 'fare_rules'];
+    const CALENDAR_DAYS = { Mon: 'monday', Tue: 'tuesday', Wed: 'wednesday', Thu: 'thursday', Fri: 'friday', Sat: 'saturday', Sun: 'sunday' };
+    const RAIL_ROUTE_TYPE = 2;
+    const WALK_DETOUR = 1.3; // Street distance ÷ straight-line distance
+    const DEFAULTS = {
+        maxWalkMiles: 0.75,
+        walkSpeedMph: 3,
+        parkRideStations: 3,
+        studyRouteTypes: [RAIL_ROUTE_TYPE]
+    };
+
+    // "07:45:00" or "25:10:00" (after midnight) → hours; null when blank
+    function parseGTFSTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
+        return parseInt(match[1], 10) + parseInt(match[2], 10) / 60 + parseInt(match[3] || '0', 10) / 3600;
+    }
+
+    /**
+     * Index parsed GTFS feeds into stops, trips and fares
+     * Ids are prefixed with the feed name so feeds cannot collide
+     * @param {Array<Object>} feeds - [{name, stops, routes, trips, stop_times, ...}]
+     * @returns {Object} - {stops, trips, stopVisits, stations, fares}
+     */
+    function buildNetwork(feeds) {
+        const stops = {};
+        const trips = {};
+        const stopVisits = {}; // stop id → [{trip, index}]
+        const fares = {};      // feed name → {attributes, rules}
+
+        feeds.forEach(feed => {
+            const id = value => `${feed.name}:${String(value).trim()}`;
+
+            (feed.stops || []).forEach(row => {
+                const lat = parseFloat(row.stop_lat);
+                const lng = parseFloat(row.stop_lon);
+                if (isNaN(lat) || isNaN(lng)) return;
+                stops[id(row.stop_id)] = { id: id(row.stop_id), name: (row.stop_name || '').trim(), lat, lng, zone: (row.zone_id || '').trim(), feed: feed.name };
+            });
+
+            const routes = {};
+            (feed.routes || []).forEach(row => {
+                routes[id(row.route_id)] = {
+                    id: id(row.route_id),
+                    routeId: String(row.route_id).trim(),
+                    name: (row.route_short_name || row.route_long_name || row.route_id || '').trim(),
+                    type: parseInt(row.route_type, 10)
+                };
+            });
+
+            // Feeds without calendar.txt run every day
+            const services = feed.calendar && feed.calendar.length > 0 ? {} : null;
+            (feed.calendar || []).forEach(row => {
+                const days = {};
+                Object.entries(CALENDAR_DAYS).forEach(([day, column]) => days[day] = String(row[column]).trim() === '1');
+                services[id(row.service_id)] = days;
+            });
+
+            (feed.trips || []).forEach(row => {
+                const route = routes[id(row.route_id)];
+                if (!route) return;
+                trips[id(row.trip_id)] = {
+                    id: id(row.trip_id),
+                    route,
+                    feed: feed.name,
+                    days: services ? services[id(row.service_id)] || {} : null,
+                    stops: []
+                };
+            });
+
+            (feed.stop_times || []).forEach(row => {
+                const trip = trips[id(row.trip_id)];
+                const stopId = id(row.stop_id);
+                const arrival = parseGTFSTime(row.arrival_time) ?? parseGTFSTime(row.departure_time);
+                const departure = parseGTFSTime(row.departure_time) ?? arrival;
+                if (!trip || !stops[stopId] || arrival === null) return;
+                trip.stops.push({ stop: stopId, sequence: parseInt(row.stop_sequence, 10), arrival, departure });
+            });
+
+            fares[feed.name] = {
+                attributes: (feed.fare_attributes || []).map(row => ({ fareId: String(row.fare_id).trim(), price: parseFloat(row.price) || 0 })),
+                rules: (feed.fare_rules || []).map(row => ({
+                    fareId: String(row.fare_id).trim(),
+                    routeId: (row.route_id || '').trim(),
+                    origin: (row.origin_id || '').trim(),
+                    destination: (row.destination_id || '').trim()
+                }))
+            };
+        });
+
+        const stations = new Set();
+        Object.values(trips).forEach(trip => {
+            trip.stops.sort((a, b) => a.sequence - b.sequence);
+            trip.stops.forEach((stopTime, index) => {
+                (stopVisits[stopTime.stop] = stopVisits[stopTime.stop] || []).push({ trip, index });
+                if (trip.route.type === RAIL_ROUTE_TYPE) stations.add(stopTime.stop);
+            });
+        });
+
+        return { stops, trips, stopVisits, stations: Array.from(stations).map(stopId => stops[stopId]), fares };
+    }
+
+    /**
+     * Fare of one ride
+     * The cheapest fare_rules match on route and origin / destination zone;
+     * a feed with a single fare and no rules charges it for every ride
+     * @returns {number|null} - Dollars, or null when the feed has no matching fare
+     */
+    function findFare(network, trip, boardStop, alightStop) {
+        const feedFares = network.fares[trip.feed];
+        if (!feedFares || feedFares.attributes.length === 0) return null;
+        if (feedFares.rules.length === 0) {
+            return feedFares.attributes.length === 1 ? feedFares.attributes[0].price : null;
+        }
+
+        const origin = network.stops[boardStop].zone;
+        const destination = network.stops[alightStop].zone;
+        const prices = feedFares.rules
+            .filter(rule => (!rule.routeId || rule.routeId === trip.route.routeId) &&
+                (!rule.origin || rule.origin === origin) &&
+                (!rule.destination || rule.destination === destination))
+            .map(rule => feedFares.attributes.find(fare => fare.fareId === rule.fareId))
+            .filter(Boolean)
+            .map(fare => fare.price);
+        return prices.length > 0 ? Math.min(...prices) : null;
+    }
+
+    /**
+     * Create a planner over the given feeds
+     * @param {Array<Object>} feeds - Parsed GTFS feeds (see the file header)
+     * @param {Object} [config] - config/transit.json
+     * @returns {Object} - {enabled, feedNames, stopCount, stationCount, planTrip}
+     */
+    function createTransitPlanner(feeds = [], config = {}) {
+        const settings = { ...DEFAULTS, ...config };
+        const network = buildNetwork(feeds);
+        const stopList = Object.values(network.stops).filter(stop => network.stopVisits[stop.id]);
+        const enabled = config.enabled !== false && stopList.length > 0;
+        const planned = new Map();
+
+        // Stops within walking distance of a point: [{stop, hours, miles}]
+        function walkableStops(point) {
+            return stopList
+                .map(stop => ({ stop: stop.id, miles: CommuteRouting.haversineDistance(point, stop) * WALK_DETOUR }))
+                .filter(access => access.miles <= settings.maxWalkMiles)
+                .map(access => ({ ...access, hours: access.miles / settings.walkSpeedMph, walk: true }));
+        }
+
+        // Nearest rail stations, reached by car: [{stop, hours, freeFlowHours, miles, tollCost}]
+        async function drivableStations(point, departureHour, day, drive, towardStation) {
+            const nearest = network.stations
+                .map(station => ({ station, distance: CommuteRouting.haversineDistance(point, station) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, settings.parkRideStations);
+
+            const accesses = [];
+            for (const { station } of nearest) {
+                const leg = towardStation
+                    ? await drive(point, station, departureHour, day)
+                    : await drive(station, point, departureHour, day);
+                accesses.push({ stop: station.id, hours: leg.durationHours, freeFlowHours: leg.freeFlowHours, miles: leg.distanceMiles, tollCost: leg.tollCost || 0, walk: false });
+            }
+            return accesses;
+        }
+
+        /**
+         * Best single ride between two sets of stops
+         * Morning (arriveBy): latest departure from home that still reaches the site in time
+         * Evening (departAt): earliest arrival home after leaving the site
+         */
+        function bestRide(origins, destinations, day, options) {
+            const destinationsByStop = {};
+            destinations.forEach(d => destinationsByStop[d.stop] = d);
+
+            let best = null;
+            origins.forEach(origin => {
+                (network.stopVisits[origin.stop] || []).forEach(({ trip, index }) => {
+                    if (trip.days && !trip.days[day]) return;
+                    const board = trip.stops[index];
+                    if (options.departAt !== undefined && board.departure < options.departAt + origin.hours) return;
+
+                    for (let j = index + 1; j < trip.stops.length; j++) {
+                        const alight = trip.stops[j];
+                        const destination = destinationsByStop[alight.stop];
+                        if (!destination) continue;
+
+                        let doorToDoor;
+                        if (options.arriveBy !== undefined) {
+                            if (alight.arrival + destination.hours > options.arriveBy) continue;
+                            doorToDoor = options.arriveBy - (board.departure - origin.hours);
+                        } else {
+                            doorToDoor = alight.arrival + destination.hours - options.departAt;
+                        }
+                        if (!best || doorToDoor < best.hours) {
+                            best = { hours: doorToDoor, trip, board, alight, origin, destination };
+                        }
+                    }
+                });
+            });
+            return best;
+        }
+
+        /**
+         * Plan a one-way trip
+         * @param {Object} from - {lat, lng}
+         * @param {Object} to - {lat, lng}
+         * @param {Object} options
+         * @param {string} options.mode - 'transit' or 'park-ride' (the car is parked at the home end)
+         * @param {string} options.day - "Mon" ... "Sun"
+         * @param {number} [options.arriveBy] - Hours after midnight, for trips from home
+         * @param {number} [options.departAt] - Hours after midnight, for trips home
+         * @param {Function} options.drive - async (from, to, departureHour, day) => {durationHours, freeFlowHours, distanceMiles, [tollCost]}
+         * @returns {Promise<Object|null>} - {mode, hours, freeFlowHours, driveHours, driveMiles, driveTolls, walkHours,
+         *          rideHours, waitHours, studyHours, fare, fareKnown, route, boardStop, alightStop}, or null when no ride fits
+         */
+        async function planTrip(from, to, options) {
+            if (!enabled) return null;
+            const toHome = options.arriveBy === undefined;
+            const key = [options.mode, options.day, options.arriveBy, options.departAt, from.lat, from.lng, to.lat, to.lng].join('|');
+            if (planned.has(key)) return planned.get(key);
+
+            // The home end is walked (transit) or driven (park-ride); the site end is always walked
+            const home = toHome ? to : from;
+            const site = toHome ? from : to;
+            const time = toHome ? options.departAt : options.arriveBy;
+            const homeStops = options.mode === 'park-ride'
+                ? await drivableStations(home, toHome ? time + 1 : time - 1, options.day, options.drive, !toHome)
+                : walkableStops(home);
+            const siteStops = walkableStops(site);
+
+            const ride = toHome
+                ? bestRide(siteStops, homeStops, options.day, { departAt: time })
+                : bestRide(homeStops, siteStops, options.day, { arriveBy: time });
+            if (!ride) {
+                planned.set(key, null);
+                return null;
+            }
+
+            const access = [ride.origin, ride.destination];
+            const driveLeg = access.find(a => !a.walk);
+            const walk = access.filter(a => a.walk).reduce((sum, a) => sum + a.hours, 0);
+            const rideHours = ride.alight.arrival - ride.board.departure;
+            const fare = findFare(network, ride.trip, ride.board.stop, ride.alight.stop);
+            const driveHours = driveLeg ? driveLeg.hours : 0;
+
+            const trip = {
+                mode: options.mode,
+                hours: ride.hours,
+                freeFlowHours: ride.hours - driveHours + (driveLeg ? driveLeg.freeFlowHours : 0),
+                driveHours,
+                driveMiles: driveLeg ? driveLeg.miles : 0,
+                driveTolls: driveLeg ? driveLeg.tollCost : 0,
+                walkHours: walk,
+                rideHours,
+                waitHours: Math.max(0, ride.hours - driveHours - walk - rideHours),
+                studyHours: settings.studyRouteTypes.includes(ride.trip.route.type) ? rideHours : 0,
+                fare: fare || 0,
+                fareKnown: fare !== null,
+                route: ride.trip.route.name,
+                boardStop: network.stops[ride.board.stop].name,
+                alightStop: network.stops[ride.alight.stop].name
+            };
+            planned.set(key, trip);
+            return trip;
+        }
+
+        return {
+            enabled,
+            feedNames: feeds.map(feed => feed.name),
+            stopCount: stopList.length,
+            stationCount: network.stations.length,
+            planTrip
+        };
+    }
+
+    return {
+        COMMUTE_MODES,
+        DEFAULT_MODE,
+        GTFS_FILES,
+        parseGTFSTime,
+        buildNetwork,
+        findFare,
+        createTransitPlanner
+    };
+});
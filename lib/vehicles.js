@@ -0,0 +1,168 @@
+/**
+ * Vehicle Profiles
+ *
+ * Per-mile cost of the car a student drives, replacing the single
+ * gas price and MPG of the cost model:
+ *
+ *   gas, hybrid, motorcycle - fuel: mpg and fuelPricePerGallon
+ *   ev                      - electricity: kWhPerMile, charged homeChargingShare
+ *                             of the time at homeChargingPricePerKWh and the
+ *                             rest at publicChargingPricePerKWh
+ *
+ * Every profile also has maintenancePerMile and an optional
+ * depreciationPerMile (0 = left out of the total).
+ *
+ * Built-in profiles can be overridden and extended by id in
+ * config/vehicles.json; "vehicle" picks the one the Node scripts use
+ * (VEHICLE=ev overrides it for a run).
+ *
+ * Loads as a CommonJS module in Node and as the global `CommuteVehicles`
+ * in the browser.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CommuteVehicles = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VEHICLE_TYPES = ['gas', 'hybrid', 'ev', 'motorcycle'];
+    const DEFAULT_VEHICLE = 'gas';
+
+    // The gas car keeps the optimizer's original $2.95/gal, 25 MPG and $0.0986/mile
+    const DEFAULT_PROFILES = [
+        { id: 'gas', name: 'Gas car', type: 'gas', mpg: 25, fuelPricePerGallon: 2.95, maintenancePerMile: 0.0986, depreciationPerMile: 0 },
+        { id: 'hybrid', name: 'Hybrid', type: 'hybrid', mpg: 50, fuelPricePerGallon: 2.95, maintenancePerMile: 0.085, depreciationPerMile: 0 },
+        {
+            id: 'ev',
+            name: 'Electric car',
+            type: 'ev',
+            kWhPerMile: 0.3,
+            homeChargingPricePerKWh: 0.14,
+            publicChargingPricePerKWh: 0.45,
+            homeChargingShare: 0.8,
+            maintenancePerMile: 0.061,
+            depreciationPerMile: 0
+        },
+        { id: 'motorcycle', name: 'Motorcycle', type: 'motorcycle', mpg: 45, fuelPricePerGallon: 2.95, maintenancePerMile: 0.11, depreciationPerMile: 0 }
+    ];
+
+    const FUEL_FIELDS = ['mpg', 'fuelPricePerGallon'];
+    const EV_FIELDS = ['kWhPerMile', 'homeChargingPricePerKWh', 'publicChargingPricePerKWh', 'homeChargingShare'];
+
+    function isElectric(profile) {
+        return profile.type === 'ev';
+    }
+
+    /**
+     * Check a profile's type and numbers
+     * @returns {Array<string>} - Problems; empty when the profile is usable
+     */
+    function validateProfile(profile) {
+        const problems = [];
+        if (!profile || typeof profile !== 'object') return ['Profile is not an object'];
+        if (!profile.id) problems.push('Missing id');
+        if (!VEHICLE_TYPES.includes(profile.type)) {
+            problems.push(`Unknown type "${profile.type}" (expected ${VEHICLE_TYPES.join(', ')})`);
+            return problems;
+        }
+
+        const required = [...(isElectric(profile) ? EV_FIELDS : FUEL_FIELDS), 'maintenancePerMile'];
+        required.forEach(field => {
+            if (typeof profile[field] !== 'number' || !isFinite(profile[field]) || profile[field] < 0) {
+                problems.push(`${field} must be a number >= 0`);
+            }
+        });
+        if (!isElectric(profile) && profile.mpg === 0) problems.push('mpg must be above 0');
+        if (isElectric(profile) && profile.homeChargingShare > 1) problems.push('homeChargingShare must be between 0 and 1');
+        if (profile.depreciationPerMile !== undefined && !(profile.depreciationPerMile >= 0)) {
+            problems.push('depreciationPerMile must be a number >= 0');
+        }
+        return problems;
+    }
+
+    /**
+     * Cost of driving one mile
+     * @param {Object} profile
+     * @returns {Object} - {energy, maintenance, depreciation, total} in dollars
+     */
+    function getCostPerMile(profile) {
+        const energy = isElectric(profile)
+            ? profile.kWhPerMile * (profile.homeChargingShare * profile.homeChargingPricePerKWh +
+                (1 - profile.homeChargingShare) * profile.publicChargingPricePerKWh)
+            : profile.fuelPricePerGallon / profile.mpg;
+        const maintenance = profile.maintenancePerMile;
+        const depreciation = profile.depreciationPerMile || 0;
+        return { energy, maintenance, depreciation, total: energy + maintenance + depreciation };
+    }
+
+    /**
+     * Cost of driving a number of miles
+     * @returns {Object} - {energyCost, maintenanceCost, depreciationCost, total}
+     */
+    function getVehicleCosts(profile, miles) {
+        const perMile = getCostPerMile(profile);
+        return {
+            energyCost: miles * perMile.energy,
+            maintenanceCost: miles * perMile.maintenance,
+            depreciationCost: miles * perMile.depreciation,
+            total: miles * perMile.total
+        };
+    }
+
+    // "Gas" or "Charging", for cost labels
+    function getEnergyLabel(profile) {
+        return isElectric(profile) ? 'Charging' : 'Gas';
+    }
+
+    // "$2.95/gal, 25 MPG" or "0.3 kWh/mile, 80% home @ $0.14/kWh, public @ $0.45/kWh"
+    function describeEnergy(profile) {
+        if (isElectric(profile)) {
+            return `${profile.kWhPerMile} kWh/mile, ${Math.round(profile.homeChargingShare * 100)}% home @ $${profile.homeChargingPricePerKWh}/kWh, public @ $${profile.publicChargingPricePerKWh}/kWh`;
+        }
+        return `$${profile.fuelPricePerGallon}/gal, ${profile.mpg} MPG`;
+    }
+
+    /**
+     * Merge configured profiles over the built-in ones by id
+     * Invalid profiles are skipped with a warning
+     * @param {Object} [config] - {vehicle, profiles: [...]} (config/vehicles.json)
+     * @param {Function} [warn]
+     * @returns {Object} - {profiles, selected}: the profile list and the id of the chosen one
+     */
+    function loadVehicleConfig(config = {}, warn = () => {}) {
+        const byId = {};
+        DEFAULT_PROFILES.forEach(profile => byId[profile.id] = { ...profile });
+        (config.profiles || []).forEach(profile => {
+            const merged = { ...(byId[profile.id] || {}), ...profile };
+            merged.name = merged.name || merged.id;
+            const problems = validateProfile(merged);
+            if (problems.length > 0) {
+                warn(`Skipping vehicle profile "${profile.id || profile.name}": ${problems.join('; ')}`);
+                return;
+            }
+            byId[merged.id] = merged;
+        });
+
+        const selected = config.vehicle && byId[config.vehicle] ? config.vehicle : DEFAULT_VEHICLE;
+        if (config.vehicle && !byId[config.vehicle]) {
+            warn(`Unknown vehicle "${config.vehicle}", using "${DEFAULT_VEHICLE}"`);
+        }
+        return { profiles: Object.values(byId), selected };
+    }
+
+    return {
+        VEHICLE_TYPES,
+        DEFAULT_VEHICLE,
+        DEFAULT_PROFILES,
+        validateProfile,
+        getCostPerMile,
+        getVehicleCosts,
+        getEnergyLabel,
+        describeEnergy,
+        loadVehicleConfig
+    };
+});
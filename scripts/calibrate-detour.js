@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Detour Model Calibration
+ *
+ * Fits the road model behind straight-line legs (the Phase 1 grid scan and
+ * legs the routing provider failed to answer) from real routes in the
+ * route cache, and writes it to data/detour-model.json:
+ * - Distance bands: detour factor and average speed per straight-line distance
+ * - Sites: distance and time factors for rotation sites whose routes bend more
+ *   (or less) than the region's
+ *
+ * Scripts and the page use the model whenever the file exists; delete it
+ * (or set DETOUR_MODEL=off) to go back to straight lines at 30 mph.
+ *
+ * The cache fills as the pipeline runs; run generate-burden-matrix.js first.
+ *
+ * Usage:
+ *   node calibrate-detour.js
+ *   node calibrate-detour.js --provider osrm       (routes of another provider)
+ *   node calibrate-detour.js --min-legs 25         (legs needed per band or site)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CommuteRouting = require('../lib/routing-providers');
+const { createRouteCache } = require('../lib/route-cache');
+const { fitDetourModel, scoreEstimates, DEFAULT_MIN_LEGS } = require('../lib/detour-model');
+const { loadData, loadRoutingConfig, DATA_DIR } = require('../lib/node-data');
+
+console.log('=================================');
+console.log('Detour Model Calibration');
+console.log('=================================\n');
+
+const args = process.argv.slice(2);
+
+// Value following a --flag, or undefined
+function option(flag) {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+const providerName = option('--provider') || CommuteRouting.resolveProviderConfig(loadRoutingConfig()).name;
+const minLegs = option('--min-legs') ? parseInt(option('--min-legs'), 10) : DEFAULT_MIN_LEGS;
+if (!(minLegs > 0)) {
+    console.error('--min-legs expects a positive number');
+    process.exit(1);
+}
+
+const data = loadData(DATA_DIR);
+const sites = Object.entries(data.locations).map(([name, coords]) => ({ name, ...coords }));
+
+const routes = createRouteCache().list(providerName);
+console.log(`Cached ${providerName} routes: ${routes.length}\n`);
+
+let model;
+try {
+    model = fitDetourModel(routes, sites, { minLegs, provider: providerName });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Run generate-burden-matrix.js first to fill the route cache');
+    process.exit(1);
+}
+
+console.log('Distance bands (straight-line miles):');
+let lowerMiles = 0;
+model.bands.forEach(band => {
+    const label = band.maxMiles === null ? `${lowerMiles}+` : `${lowerMiles}-${band.maxMiles}`;
+    lowerMiles = band.maxMiles;
+    console.log(`  ${label.padEnd(6)} ${String(band.legs).padStart(5)} legs  ` +
+        `detour ×${band.detourFactor.toFixed(2)}  ${band.speedMph.toFixed(1)} mph${band.borrowed ? '  (too few legs, from the nearest band)' : ''}`);
+});
+console.log('');
+
+console.log(`Sites (${model.sites.length} with ${minLegs}+ legs):`);
+model.sites.forEach(site => {
+    console.log(`  ${site.name.padEnd(40)} ${String(site.legs).padStart(5)} legs  ` +
+        `distance ×${site.distanceFactor.toFixed(2)}  time ×${site.timeFactor.toFixed(2)}`);
+});
+console.log('');
+
+// Error of both straight-line estimates against the routes they stand in for
+const speedMph = CommuteRouting.FALLBACK_SPEED_MPH;
+const before = scoreEstimates((from, to) => {
+    const distanceMiles = CommuteRouting.haversineDistance(from, to);
+    return { distanceMiles, durationHours: distanceMiles / speedMph };
+}, routes);
+const after = scoreEstimates((from, to) => CommuteRouting.estimateDetourLeg(model, from, to), routes);
+console.log('Mean error against the cached routes:');
+console.log(`  Straight line at ${speedMph} mph: ${before.hours.toFixed(1)}% hours, ${before.miles.toFixed(1)}% miles`);
+console.log(`  Detour model:            ${after.hours.toFixed(1)}% hours, ${after.miles.toFixed(1)}% miles`);
+console.log('');
+
+const outputPath = path.join(DATA_DIR, 'detour-model.json');
+fs.writeFileSync(outputPath, JSON.stringify(model, null, 2));
+console.log(`✅ Saved detour model to ${outputPath}`);
@@ -16,241 +16,28 @@
  */
 
 const fs = require('fs');
-const https = require('https');
+const CommuteEngine = require('../../lib/commute-engine');
+const { loadData: loadDataFiles, createNodeEngine, checkRoutingFallbacks } = require('../../lib/node-data');
 
 // Configuration
-const API_DELAY_MS = 200; // Rate limiting for OSRM API
+const API_DELAY_MS = CommuteEngine.API_DELAY_MS; // Rate limiting for OSRM API
 const GRID_SIZE = 20; // 20x20 = 400 test points for Phase 1 (Haversine scan)
 const MIN_LAT = 25.5, MAX_LAT = 26.8;
 const MIN_LNG = -80.5, MAX_LNG = -80.0;
 
 // Data storage
-let locations = {};
 let variance = {};
-let uniqueRotations = new Set();
+let uniqueRotations = [];
+let engine = null;
 
-// Utility: Sleep function
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Utility: Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
-
-// Load data files
+// Load data files and extract unique rotations
 function loadData() {
-    console.log('Loading data files...');
-    
-    // Load Locations
-    const locationsText = fs.readFileSync('../../data/Locations.csv', 'utf8');
-    const locationsData = parseCSV(locationsText);
-    locationsData.forEach(row => {
-        if (row.Locations && row.Coordinates) {
-            const [lat, lng] = row.Coordinates.replace(/"/g, '').split(',').map(s => parseFloat(s.trim()));
-            if (!isNaN(lat) && !isNaN(lng)) {
-                locations[row.Locations.trim()] = { lat, lng };
-            }
-        }
-    });
-    
-    // Load Tracks and extract unique rotations
-    const tracksText = fs.readFileSync('../../data/Tracks.csv', 'utf8');
-    const tracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
-    
-    tracks.forEach(track => {
-        const months = Object.keys(track).filter(k => k !== 'Current Track');
-        months.forEach(month => {
-            const rotation = track[month];
-            if (rotation && rotation.trim() !== '') {
-                uniqueRotations.add(rotation.trim());
-            }
-        });
-    });
-    
-    // Load Variance
-    const varianceText = fs.readFileSync('../../data/Variance.csv', 'utf8');
-    const varianceData = parseCSV(varianceText);
-    varianceData.forEach(row => {
-        if (row.Block) {
-            variance[row.Block] = row;
-        }
-    });
-    
-    console.log(`Loaded ${Object.keys(locations).length} locations`);
-    console.log(`Found ${uniqueRotations.size} unique rotations`);
-    console.log(`Loaded ${Object.keys(variance).length} variance entries`);
-}
-
-// Calculate Haversine distance
-function haversineDistance(from, to) {
-    const lat1 = from.lat * Math.PI / 180;
-    const lat2 = to.lat * Math.PI / 180;
-    const deltaLat = (to.lat - from.lat) * Math.PI / 180;
-    const deltaLng = (to.lng - from.lng) * Math.PI / 180;
-    
-    const a = Math.sin(deltaLat/2) * Math.sin(deltaLat/2) +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(deltaLng/2) * Math.sin(deltaLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return 3959 * c; // Earth radius in miles
-}
-
-// Get route from OSRM API
-async function getRoute(from, to, useApi = true) {
-    const distanceMiles = haversineDistance(from, to);
-    
-    if (!useApi) {
-        return { distanceMiles, durationHours: distanceMiles / 30 };
-    }
-    
-    await sleep(API_DELAY_MS);
-    
-    return new Promise((resolve) => {
-        const url = `https://router.project-osrm.org/route/v1/driving/${from.lng},${from.lat};${to.lng},${to.lat}?overview=false`;
-        
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(data);
-                    if (json.routes && json.routes.length > 0) {
-                        const apiDist = json.routes[0].distance * 0.000621371; // meters to miles
-                        const apiDur = json.routes[0].duration / 3600; // seconds to hours
-                        resolve({ distanceMiles: apiDist, durationHours: apiDur });
-                    } else {
-                        resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-                    }
-                } catch (e) {
-                    resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-                }
-            });
-        }).on('error', () => {
-            resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-        });
-    });
-}
-
-// Calculate average commute burden for TBD blocks
-async function calculateTBDBlock(blockType, homeCoords, useApi = true) {
-    // Find all possible locations for this block type
-    const possibleBlocks = Object.keys(variance).filter(key => 
-        key.includes(blockType) && !key.includes('To Be Determined')
-    );
-    
-    if (possibleBlocks.length === 0) {
-        console.warn(`    Warning: No variance entries found for TBD block type: ${blockType}`);
-        return null;
-    }
-    
-    let totalHours = 0;
-    let weeks = 0;
-    
-    // Calculate average burden across all possible locations
-    for (const blockName of possibleBlocks) {
-        const result = await calculateBlockCommute(blockName, homeCoords, useApi);
-        if (result) {
-            totalHours += result.totalHours;
-            weeks = result.weeks; // Should be same for all
-        }
-    }
-    
-    // Return average
-    return {
-        totalHours: totalHours / possibleBlocks.length,
-        weeks: weeks,
-        isTBD: true,
-        possibleCount: possibleBlocks.length
-    };
-}
-
-// Calculate commute burden for a single rotation at a single home location
-async function calculateBlockCommute(blockName, homeCoords, useApi = true) {
-    // Handle "To Be Determined" blocks
-    if (blockName.includes('To Be Determined')) {
-        const blockType = blockName.split('@')[0].trim();
-        return await calculateTBDBlock(blockType, homeCoords, useApi);
-    }
-    
-    const varData = variance[blockName];
-    if (!varData) {
-        console.warn(`No variance data for: ${blockName}`);
-        return null;
-    }
-    
-    const blockLocations = varData.Locations.split(',').map(l => l.trim()).filter(Boolean);
-    const isPediatrics = blockName.includes('Pediatrics Clerkship @ Nemours');
-    
-    // Nemours blocks = 0 commute (except pediatrics week 4)
-    if (!isPediatrics && blockLocations.some(loc => loc.toLowerCase().includes('nemours'))) {
-        return { 
-            totalHours: 0, 
-            weeks: parseInt(varData['Block Length (wks)']) || 4 
-        };
-    }
-    
-    const weeks = parseInt(varData['Block Length (wks)']) || 4;
-    const hasWednesdayException = varData['Wednesday Exception']?.toLowerCase() === 'y';
-    
-    let totalHours = 0;
-    
-    // Special handling for Pediatrics
-    if (isPediatrics) {
-        const sites = [
-            { name: 'Kendall', trips: 2 },
-            { name: 'Boynton', trips: 2 },
-            { name: 'University', trips: 1 }
-        ];
-        
-        for (const site of sites) {
-            const siteCoords = locations[site.name];
-            if (siteCoords) {
-                const route = await getRoute(homeCoords, siteCoords, useApi);
-                totalHours += route.durationHours * site.trips * 2;
-            }
-        }
-        return { totalHours, weeks, isPediatrics: true };
-    }
-    
-    // Regular blocks
-    for (const locName of blockLocations) {
-        const siteCoords = locations[locName];
-        if (!siteCoords) continue;
-        
-        const dailyRoute = await getRoute(homeCoords, siteCoords, useApi);
-        const weeksAtLocation = weeks / blockLocations.length;
-        const tripsPerDay = hasWednesdayException ? 2 : 3;
-        
-        totalHours += dailyRoute.durationHours * tripsPerDay * 5 * weeksAtLocation;
-    }
+    const data = loadDataFiles('../../data');
+    variance = data.variance;
+    uniqueRotations = CommuteEngine.getUniqueRotations(data.tracks);
+    engine = createNodeEngine(data);
     
-    return { totalHours, weeks };
+    console.log(`Found ${uniqueRotations.length} unique rotations`);
 }
 
 // Calculate average burden for a rotation across all test points
@@ -273,7 +60,7 @@ async function calculateRotationBurden(rotationName) {
             };
             
             try {
-                const result = await calculateBlockCommute(rotationName, testCoords, false);
+                const result = await engine.calculateBlockCommute(rotationName, testCoords, false);
                 if (result) {
                     candidates.push({ coords: testCoords, hours: result.totalHours });
                     blockWeeks = result.weeks;
@@ -351,7 +138,7 @@ async function calculateRotationBurden(rotationName) {
     
     for (const candidate of diverseCandidates) {
         try {
-            const result = await calculateBlockCommute(rotationName, candidate.coords, true);
+            const result = await engine.calculateBlockCommute(rotationName, candidate.coords, true);
             if (result) {
                 refinedResults.push({ coords: candidate.coords, hours: result.totalHours, zone: candidate.zone });
                 if (result.totalHours < minBurden) {
@@ -399,7 +186,7 @@ async function main() {
     loadData();
     
     const results = {};
-    const rotations = Array.from(uniqueRotations).sort();
+    const rotations = uniqueRotations;
     const startTime = Date.now();
     
     console.log(`\nProcessing ${rotations.length} unique rotations...\n`);
@@ -430,6 +217,8 @@ async function main() {
         }
     }
     
+    if (!checkRoutingFallbacks(engine)) process.exit(1);
+    
     // Save to file
     const outputPath = '../../data/rotation-burdens.json';
     fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
@@ -9,6 +9,7 @@
  */
 
 const fs = require('fs');
+const CommuteEngine = require('../../lib/commute-engine');
 
 console.log('=================================');
 console.log('Geographic Clustering Optimizer');
@@ -26,33 +27,7 @@ const rotationBurdens = JSON.parse(fs.readFileSync('../../data/rotation-burdens.
 const tracksText = fs.readFileSync('../../data/Tracks.csv', 'utf8');
 
 // Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
+const { parseCSV } = CommuteEngine;
 
 const originalTracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
 const timeColumns = Object.keys(originalTracks[0]).filter(k => k !== 'Current Track');
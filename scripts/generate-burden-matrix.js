@@ -5,257 +5,98 @@
  * 
  * Pre-computes a matrix of commute burdens:
  * - Rows: Test points across South Florida (400 points in 20x20 grid)
- * - Columns: Unique rotation configurations (~50-60 rotations)
- * - Values: Annual commute burden (hours) from that home to that rotation
+ * - Columns: Dated blocks of Tracks.csv, one per block and dates ({block, start, end})
+ * - Values: Commute burden (hours, and miles alongside) from that home to that
+ *   block on its dates, with the calendar, traffic and shifts applied as in the
+ *   precise track result
  * 
  * This one-time calculation enables instant track evaluation without API calls.
  * 
- * Runtime: ~1-2 hours (50 rotations × 400 points × 200ms API delay)
+ * Legs come from a point×site leg table filled by a handful of many-to-many
+ * OSRM /table requests; rotation burdens are then composed locally by the
+ * commute engine. Providers without a table service fall back to one
+ * request per leg.
+ * 
+ * Runtime: a few minutes with /table (hours with per-leg requests)
  */
 
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteRouting = require('../lib/routing-providers');
+const { loadData, createNodeRoutingProvider, withRouteCache, createNodeEngine, checkRoutingFallbacks, DATA_DIR } = require('../lib/node-data');
 
 console.log('=================================');
 console.log('Burden Matrix Generator');
 console.log('=================================\n');
 
 // Configuration
-const NSU_COORDS = { lat: 26.082, lng: -80.249 };
-const API_DELAY_MS = 200;
-const GRID_SIZE = 20; // 20x20 = 400 test points
-const MIN_LAT = 25.5, MAX_LAT = 26.8;
-const MIN_LNG = -80.5, MAX_LNG = -80.0;
+const GRID_SIZE = CommuteEngine.GRID_SIZE; // 20x20 = 400 test points
+const BOUNDS = CommuteEngine.SOUTH_FLORIDA_BOUNDS;
 
 // Load data
-console.log('Loading data files...');
-
-let locations = {};
-let tracks = [];
-let variance = {};
-
-// Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
-
-// Load locations
-const locationsText = fs.readFileSync('../data/Locations.csv', 'utf8');
-const locationsData = parseCSV(locationsText);
-locationsData.forEach(row => {
-    if (row.Locations && row.Coordinates) {
-        const [lat, lng] = row.Coordinates.replace(/"/g, '').split(',').map(s => parseFloat(s.trim()));
-        if (!isNaN(lat) && !isNaN(lng)) {
-            locations[row.Locations.trim()] = { lat, lng };
-        }
-    }
-});
-locations['NSU'] = NSU_COORDS;
-
-// Load tracks
-const tracksText = fs.readFileSync('../data/Tracks.csv', 'utf8');
-tracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
-
-// Load variance
-const varianceText = fs.readFileSync('../data/Variance.csv', 'utf8');
-const varianceData = parseCSV(varianceText);
-varianceData.forEach(row => {
-    if (row.Block) {
-        variance[row.Block] = row;
-    }
+const data = loadData(DATA_DIR);
+const baseProvider = createNodeRoutingProvider();
+const legTable = {}; // Filled by buildPointSiteTable() before any burden is composed
+// The matrix holds hours only: leaving tolls out keeps route shapes off the
+// requests, so legs come from the table instead of one request each
+const engine = createNodeEngine(data, {
+    routingProvider: withRouteCache(CommuteRouting.createLegTableProvider(baseProvider, legTable)),
+    tolls: null
 });
+const routeCache = engine.routingProvider.routeCache;
+console.log('');
 
-console.log(`Loaded ${Object.keys(locations).length} locations`);
-console.log(`Loaded ${tracks.length} tracks`);
-console.log(`Loaded ${Object.keys(variance).length} variance entries\n`);
-
-// Extract unique rotations
-console.log('Extracting unique rotations...');
-const uniqueRotations = new Set();
-tracks.forEach(track => {
-    const columns = Object.keys(track).filter(k => k !== 'Current Track');
-    columns.forEach(col => {
-        const rotation = track[col];
-        if (rotation && rotation.trim() !== '') {
-            uniqueRotations.add(rotation);
-        }
-    });
-});
-
-const rotationsList = Array.from(uniqueRotations).sort();
-console.log(`Found ${rotationsList.length} unique rotations\n`);
+// Extract unique dated blocks
+console.log('Extracting dated blocks...');
+const rotationsList = CommuteEngine.getUniqueTrackBlocks(data.tracks, data.variance);
+console.log(`Found ${rotationsList.length} dated blocks of ${CommuteEngine.getUniqueRotations(data.tracks).length} rotations\n`);
 
 // Generate test points grid
 console.log('Generating test points grid...');
-const testPoints = [];
-const latStep = (MAX_LAT - MIN_LAT) / GRID_SIZE;
-const lngStep = (MAX_LNG - MIN_LNG) / GRID_SIZE;
-
-for (let i = 0; i <= GRID_SIZE; i++) {
-    for (let j = 0; j <= GRID_SIZE; j++) {
-        testPoints.push({
-            lat: MIN_LAT + (i * latStep),
-            lng: MIN_LNG + (j * lngStep)
-        });
-    }
-}
-
+const testPoints = CommuteEngine.generateGridPoints(GRID_SIZE, BOUNDS);
 console.log(`Generated ${testPoints.length} test points\n`);
 
-// Utility functions
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Unique site coordinates (rotation sites plus campus)
+const sites = Object.values(data.locations).filter((coords, idx, all) =>
+    all.findIndex(other => other.lat === coords.lat && other.lng === coords.lng) === idx
+);
 
-function haversineDistance(from, to) {
-    const lat1 = from.lat * Math.PI / 180;
-    const lat2 = to.lat * Math.PI / 180;
-    const deltaLat = (to.lat - from.lat) * Math.PI / 180;
-    const deltaLng = (to.lng - from.lng) * Math.PI / 180;
-    
-    const a = Math.sin(deltaLat/2) * Math.sin(deltaLat/2) +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(deltaLng/2) * Math.sin(deltaLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return 3959 * c;
-}
+// Fill the leg table for every test point whose legs are not cached yet
+async function buildPointSiteTable() {
+    console.log('=================================');
+    console.log('Building Point×Site Leg Table');
+    console.log('=================================\n');
 
-async function getRoute(from, to, useApi = true) {
-    const distanceMiles = haversineDistance(from, to);
-    
-    if (!useApi) {
-        return { distanceMiles, durationHours: distanceMiles / 30 };
+    if (typeof baseProvider.table !== 'function') {
+        console.log(`${baseProvider.name} has no table service; legs will be requested one at a time\n`);
+        return;
     }
-    
-    await sleep(API_DELAY_MS);
-    
-    return new Promise((resolve) => {
-        const url = `https://router.project-osrm.org/route/v1/driving/${from.lng},${from.lat};${to.lng},${to.lat}?overview=false`;
-        
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(data);
-                    if (json.routes && json.routes.length > 0) {
-                        const apiDist = json.routes[0].distance * 0.000621371;
-                        const apiDur = json.routes[0].duration / 3600;
-                        resolve({ distanceMiles: apiDist, durationHours: apiDur });
-                    } else {
-                        resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-                    }
-                } catch (e) {
-                    resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-                }
-            });
-        }).on('error', () => {
-            resolve({ distanceMiles, durationHours: distanceMiles / 30 });
-        });
-    });
-}
 
-// Calculate burden for a rotation from a home point
-async function calculateRotationBurden(rotationName, homeCoords, useApi = true) {
-    // Handle TBD blocks by averaging across all possible locations
-    if (rotationName.includes('To Be Determined')) {
-        const blockType = rotationName.split('@')[0].trim();
-        
-        // Find all possible locations for this block type
-        const possibleBlocks = Object.keys(variance).filter(key => 
-            key.includes(blockType) && !key.includes('To Be Determined')
-        );
-        
-        if (possibleBlocks.length === 0) {
-            console.warn(`  Warning: No variance entries for TBD block type: ${blockType}`);
-            return 0;
-        }
-        
-        // Calculate burden for each possible location
-        let totalBurden = 0;
-        for (const blockName of possibleBlocks) {
-            const burden = await calculateRotationBurden(blockName, homeCoords, useApi);
-            totalBurden += burden;
-        }
-        
-        // Return average
-        return totalBurden / possibleBlocks.length;
-    }
-    
-    const varData = variance[rotationName];
-    if (!varData) {
-        console.warn(`  Warning: No variance data for ${rotationName}`);
-        return 0;
+    const isCached = (from, to) => routeCache && routeCache.has(baseProvider.name, from, to);
+    const pointsToFetch = testPoints.filter(point =>
+        !sites.every(site => isCached(point, site) && isCached(site, point))
+    );
+    if (pointsToFetch.length === 0) {
+        console.log('All point×site legs are cached\n');
+        return;
     }
-    
-    const blockLocations = varData.Locations.split(',').map(l => l.trim()).filter(Boolean);
-    const isPediatrics = rotationName.includes('Pediatrics Clerkship @ Nemours');
-    
-    // Nemours blocks = 0 commute (except pediatrics week 4)
-    if (!isPediatrics && blockLocations.some(loc => loc.toLowerCase().includes('nemours'))) {
-        return 0;
-    }
-    
-    const weeks = parseInt(varData['Block Length (wks)']) || 4;
-    const hasWednesdayException = varData['Wednesday Exception']?.toLowerCase() === 'y';
-    
-    let totalHours = 0;
-    
-    // Special handling for Pediatrics
-    if (isPediatrics) {
-        const sites = [
-            { name: 'Kendall', trips: 2 },
-            { name: 'Boynton', trips: 2 },
-            { name: 'University', trips: 1 }
-        ];
-        
-        for (const site of sites) {
-            const siteCoords = locations[site.name];
-            if (siteCoords) {
-                const route = await getRoute(homeCoords, siteCoords, useApi);
-                totalHours += route.durationHours * site.trips * 2;
-            }
-        }
-        return totalHours;
-    }
-    
-    // Regular blocks
-    for (const locName of blockLocations) {
-        const siteCoords = locations[locName];
-        if (!siteCoords) continue;
-        
-        const dailyRoute = await getRoute(homeCoords, siteCoords, useApi);
-        const weeksAtLocation = weeks / blockLocations.length;
-        const tripsPerDay = hasWednesdayException ? 2 : 3;
-        
-        totalHours += dailyRoute.durationHours * tripsPerDay * 5 * weeksAtLocation;
+
+    console.log(`Fetching legs for ${pointsToFetch.length} points × ${sites.length} sites...`);
+    try {
+        const legs = await CommuteRouting.buildLegTable(baseProvider, pointsToFetch, sites, { log: console.log });
+        Object.assign(legTable, legs);
+        console.log(`✓ ${Object.keys(legs).length} legs fetched\n`);
+    } catch (error) {
+        console.warn(`Warning: Table request failed (${error.message}); falling back to per-leg requests\n`);
     }
-    
-    return totalHours;
+}
+
+// Calculate burden for a dated block from a home point (undated blocks cover the whole block)
+async function calculateRotationBurden(rotation, homeCoords, useApi = true) {
+    const dates = rotation.start ? { start: rotation.start, end: rotation.end } : null;
+    const result = await engine.calculateBlockCommute(rotation.block, homeCoords, useApi, dates);
+    return result ? { hours: result.totalHours, miles: result.totalMiles } : { hours: 0, miles: 0 };
 }
 
 // Main matrix generation
@@ -265,10 +106,8 @@ async function generateBurdenMatrix() {
     console.log('=================================\n');
     
     const totalCalculations = rotationsList.length * testPoints.length;
-    const estimatedTime = (totalCalculations * API_DELAY_MS / 1000 / 60).toFixed(1);
     
-    console.log(`Total calculations: ${totalCalculations.toLocaleString()}`);
-    console.log(`Estimated time: ~${estimatedTime} minutes\n`);
+    console.log(`Total calculations: ${totalCalculations.toLocaleString()}\n`);
     
     const burdenMatrix = {
         metadata: {
@@ -276,11 +115,12 @@ async function generateBurdenMatrix() {
             gridSize: GRID_SIZE,
             testPoints: testPoints.length,
             rotations: rotationsList.length,
-            bounds: { minLat: MIN_LAT, maxLat: MAX_LAT, minLng: MIN_LNG, maxLng: MAX_LNG }
+            bounds: BOUNDS
         },
         rotations: rotationsList,
         testPoints: testPoints,
-        burdens: [] // Will be array of arrays: burdens[pointIndex][rotationIndex]
+        burdens: [], // Will be array of arrays: burdens[pointIndex][rotationIndex]
+        miles: [] // Same layout, miles driven
     };
     
     const startTime = Date.now();
@@ -290,44 +130,52 @@ async function generateBurdenMatrix() {
     for (let pointIdx = 0; pointIdx < testPoints.length; pointIdx++) {
         const point = testPoints[pointIdx];
         const pointBurdens = [];
+        const pointMiles = [];
         
         // For each rotation
         for (let rotIdx = 0; rotIdx < rotationsList.length; rotIdx++) {
             const rotation = rotationsList[rotIdx];
             
             const burden = await calculateRotationBurden(rotation, point, true);
-            pointBurdens.push(burden);
+            pointBurdens.push(burden.hours);
+            pointMiles.push(burden.miles);
             
             completedCalculations++;
             
             // Progress update every 100 calculations
             if (completedCalculations % 100 === 0) {
                 const pct = (completedCalculations / totalCalculations * 100).toFixed(1);
-                const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-                const remaining = ((totalCalculations - completedCalculations) * API_DELAY_MS / 1000 / 60).toFixed(1);
+                const elapsedMs = Date.now() - startTime;
+                const elapsed = (elapsedMs / 1000 / 60).toFixed(1);
+                const remaining = (elapsedMs / completedCalculations * (totalCalculations - completedCalculations) / 1000 / 60).toFixed(1);
                 console.log(`  ${pct}% (${completedCalculations}/${totalCalculations}) - Elapsed: ${elapsed}m - Remaining: ~${remaining}m`);
             }
         }
         
         burdenMatrix.burdens.push(pointBurdens);
+        burdenMatrix.miles.push(pointMiles);
     }
     
     const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
     
     console.log('\n✓ Matrix generation complete!\n');
     console.log(`Total time: ${totalTime} minutes`);
-    console.log(`Matrix size: ${testPoints.length} points × ${rotationsList.length} rotations\n`);
+    console.log(`Matrix size: ${testPoints.length} points × ${rotationsList.length} dated blocks\n`);
     
     return burdenMatrix;
 }
 
 // Save matrix
 async function main() {
+    await buildPointSiteTable();
     const matrix = await generateBurdenMatrix();
     
+    if (!checkRoutingFallbacks(engine)) process.exit(1);
+    
     console.log('Saving burden matrix...');
-    const outputPath = '../data/burden-matrix.json';
-    fs.writeFileSync(outputPath, JSON.stringify(matrix, null, 2));
+    const outputPath = path.join(DATA_DIR, 'burden-matrix.json');
+    // One line per row: the dated columns make the matrix too big to indent every value
+    fs.writeFileSync(outputPath, JSON.stringify(matrix).replace(/\],\[/g, '],\n['));
     
     const fileSizeKB = (fs.statSync(outputPath).size / 1024).toFixed(1);
     
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Data Lint
+ *
+ * Checks Locations.csv, Tracks.csv, Variance.csv, Calendar.csv and
+ * Tolls.csv (when present) for unknown locations and blocks, duplicates,
+ * bad coordinates, out-of-region sites, malformed block lengths, dates and
+ * toll rates, with row numbers.
+ *
+ * Exits 1 when any error is found; warnings alone pass.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteDataLint = require('../lib/data-lint');
+const { DATA_DIR } = require('../lib/node-data');
+
+console.log('=================================');
+console.log('Data Lint');
+console.log('=================================\n');
+
+// Parse without trimming so stray spaces can be reported
+function readRows(fileName) {
+    const text = fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8');
+    return CommuteEngine.parseCSV(text, { trim: false });
+}
+
+const result = CommuteDataLint.lintData({
+    locations: readRows('Locations.csv'),
+    tracks: readRows('Tracks.csv'),
+    variance: readRows('Variance.csv'),
+    calendar: fs.existsSync(path.join(DATA_DIR, 'Calendar.csv')) ? readRows('Calendar.csv') : [],
+    tolls: fs.existsSync(path.join(DATA_DIR, 'Tolls.csv')) ? readRows('Tolls.csv') : []
+});
+
+if (result.errors.length > 0) {
+    console.log(`❌ ${result.errors.length} error(s):`);
+    result.errors.forEach(issue => console.log(`  ${CommuteDataLint.formatIssue(issue)}`));
+    console.log('');
+}
+
+if (result.warnings.length > 0) {
+    console.log(`⚠️  ${result.warnings.length} warning(s):`);
+    result.warnings.forEach(issue => console.log(`  ${CommuteDataLint.formatIssue(issue)}`));
+    console.log('');
+}
+
+if (result.errors.length === 0) {
+    console.log('✅ DATA LINT PASSED\n');
+} else {
+    console.log('❌ DATA LINT FAILED\n');
+    process.exit(1);
+}
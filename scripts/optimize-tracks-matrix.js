@@ -10,6 +10,10 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteBurdenMatrix = require('../lib/burden-matrix');
+const { DATA_DIR } = require('../lib/node-data');
 
 console.log('=================================');
 console.log('Matrix-Based Track Optimizer');
@@ -24,42 +28,17 @@ const COOLING_RATE = 0.99995;
 // Load data
 console.log('Loading data files...');
 
-const burdenMatrix = JSON.parse(fs.readFileSync('../data/burden-matrix.json', 'utf8'));
-const tracksText = fs.readFileSync('../data/Tracks.csv', 'utf8');
+const burdenMatrix = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'burden-matrix.json'), 'utf8'));
+const tracksText = fs.readFileSync(path.join(DATA_DIR, 'Tracks.csv'), 'utf8');
 
 // Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
+const { parseCSV } = CommuteEngine;
 
 const originalTracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
+const variance = CommuteEngine.buildVariance(parseCSV(fs.readFileSync(path.join(DATA_DIR, 'Variance.csv'), 'utf8')));
 const timeColumns = Object.keys(originalTracks[0]).filter(k => k !== 'Current Track');
 
-console.log(`Loaded burden matrix: ${burdenMatrix.testPoints.length} points × ${burdenMatrix.rotations.length} rotations`);
+console.log(`Loaded burden matrix: ${burdenMatrix.testPoints.length} points × ${burdenMatrix.rotations.length} dated blocks`);
 console.log(`Loaded ${originalTracks.length} tracks\n`);
 
 // Helper functions
@@ -78,46 +57,21 @@ function getRotationType(rotationName) {
 // Identify blocks
 console.log('Identifying 8-week blocks...');
 
-function identifyBlocks(track, timeColumns) {
-    const blocks = [];
-    let i = 0;
-    
-    while (i < timeColumns.length) {
-        const column = timeColumns[i];
-        const rotation = track[column];
-        
-        if (i + 1 < timeColumns.length) {
-            const nextColumn = timeColumns[i + 1];
-            const nextRotation = track[nextColumn];
-            
-            if (rotation === nextRotation && 
-                (rotation.includes('Surgery Clerkship') || rotation.includes('Internal Medicine Clerkship'))) {
-                blocks.push({
-                    type: '8-week',
-                    columns: [column, nextColumn],
-                    rotation: rotation,
-                    rotationType: getRotationType(rotation)
-                });
-                i += 2;
-                continue;
-            }
-        }
-        
-        blocks.push({
-            type: '4-week',
-            columns: [column],
-            rotation: rotation,
-            rotationType: getRotationType(rotation)
-        });
-        i++;
-    }
-    
-    return blocks;
+// Dated blocks from the column headers; an 8-week block spans two columns
+function identifyBlocks(track) {
+    return CommuteEngine.getTrackBlocks(track, variance).map(block => ({
+        type: `${block.blockWeeks}-week`,
+        columns: block.columns,
+        start: block.start,
+        end: block.end,
+        rotation: block.block,
+        rotationType: getRotationType(block.block)
+    }));
 }
 
 const trackBlocks = originalTracks.map(track => ({
     trackName: track['Current Track'],
-    blocks: identifyBlocks(track, timeColumns)
+    blocks: identifyBlocks(track)
 }));
 
 const blockPositions = trackBlocks[0].blocks.length;
@@ -130,12 +84,13 @@ function evaluateTrackBurden(trackBlock) {
     // Extract rotations from track
     const rotations = trackBlock.blocks.map(b => b.rotation);
     
-    // Get rotation indices in matrix
+    // Get rotation indices in matrix: the column of each block on its dates
     const rotationIndices = [];
     const missingRotations = [];
     
-    for (const rot of rotations) {
-        const idx = burdenMatrix.rotations.indexOf(rot);
+    for (const b of trackBlock.blocks) {
+        const rot = b.rotation;
+        const idx = CommuteBurdenMatrix.findRotation(burdenMatrix, { block: rot, start: b.start, end: b.end });
         if (idx !== -1) {
             rotationIndices.push(idx);
         } else if (rot.includes('To Be Determined')) {
@@ -362,8 +317,8 @@ function arrayToCSV(data, allColumns) {
     return [headers.join(','), ...rows].join('\n');
 }
 
-fs.writeFileSync('../data/Tracks-Optimized-Matrix.csv', arrayToCSV(optimizedTracks, timeColumns));
-console.log('✓ Saved to ../data/Tracks-Optimized-Matrix.csv\n');
+fs.writeFileSync(path.join(DATA_DIR, 'Tracks-Optimized-Matrix.csv'), arrayToCSV(optimizedTracks, timeColumns));
+console.log(`✓ Saved to ${path.join(DATA_DIR, 'Tracks-Optimized-Matrix.csv')}\n`);
 
 // Save detailed results
 const report = {
@@ -385,8 +340,8 @@ const report = {
     }
 };
 
-fs.writeFileSync('../data/optimization-matrix-report.json', JSON.stringify(report, null, 2));
-console.log('✓ Saved report to ../data/optimization-matrix-report.json\n');
+fs.writeFileSync(path.join(DATA_DIR, 'optimization-matrix-report.json'), JSON.stringify(report, null, 2));
+console.log(`✓ Saved report to ${path.join(DATA_DIR, 'optimization-matrix-report.json')}\n`);
 
 console.log('=================================');
 console.log('Summary');
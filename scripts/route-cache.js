@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Route Cache Maintenance
+ *
+ * Shows or invalidates the on-disk route cache shared by every script
+ * (data/cache/route-cache.json).
+ *
+ * Usage:
+ *   node route-cache.js stats
+ *   node route-cache.js clear                      (everything)
+ *   node route-cache.js clear --provider osrm      (one provider)
+ *   node route-cache.js clear --older-than 90      (legs cached more than 90 days ago)
+ */
+
+const { createRouteCache } = require('../lib/route-cache');
+
+console.log('=================================');
+console.log('Route Cache');
+console.log('=================================\n');
+
+const args = process.argv.slice(2);
+const command = args[0] || 'stats';
+
+// Value following a --flag, or undefined
+function option(flag) {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function printStats(cache) {
+    const info = cache.describe();
+    console.log(`File: ${info.file}`);
+    console.log(`Precision: ${info.precision} decimal places`);
+    console.log(`Cached legs: ${info.size}`);
+    for (const [providerName, count] of Object.entries(info.byProvider)) {
+        console.log(`  ${providerName}: ${count}`);
+    }
+    console.log('');
+}
+
+const cache = createRouteCache();
+
+if (command === 'stats') {
+    printStats(cache);
+} else if (command === 'clear') {
+    const filter = {};
+    if (option('--provider')) {
+        filter.provider = option('--provider');
+    }
+    if (option('--older-than')) {
+        const days = parseFloat(option('--older-than'));
+        if (isNaN(days)) {
+            console.error('--older-than expects a number of days');
+            process.exit(1);
+        }
+        filter.olderThan = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+
+    const removed = cache.invalidate(filter);
+    console.log(`✓ Removed ${removed} cached legs\n`);
+    printStats(cache);
+} else {
+    console.error(`Unknown command: ${command} (expected stats or clear)`);
+    process.exit(1);
+}
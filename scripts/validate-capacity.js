@@ -9,44 +9,21 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const { DATA_DIR } = require('../lib/node-data');
 
 console.log('=================================');
 console.log('Track Optimization Validator');
 console.log('=================================\n');
 
 // Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
+const { parseCSV } = CommuteEngine;
 
 // Load files
 console.log('Loading files...');
-const originalText = fs.readFileSync('../data/Tracks.csv', 'utf8');
-const optimizedText = fs.readFileSync('../data/Tracks-Optimized-Matrix.csv', 'utf8');
+const originalText = fs.readFileSync(path.join(DATA_DIR, 'Tracks.csv'), 'utf8');
+const optimizedText = fs.readFileSync(path.join(DATA_DIR, 'Tracks-Optimized-Matrix.csv'), 'utf8');
 
 const originalTracks = parseCSV(originalText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
 const optimizedTracks = parseCSV(optimizedText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
@@ -10,56 +10,32 @@
  */
 
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteBurdenMatrix = require('../lib/burden-matrix');
+const { DATA_DIR } = require('../lib/node-data');
 
 console.log('=================================');
 console.log('Burden Matrix Validator');
 console.log('=================================\n');
 
 // Configuration
-const NSU_COORDS = { lat: 26.082, lng: -80.249 };
-const API_DELAY_MS = 200;
 const SAMPLE_SIZE = 5; // Test 5 random tracks
 
 // Load data
 console.log('Loading data files...');
 
-const burdenMatrix = JSON.parse(fs.readFileSync('../data/burden-matrix.json', 'utf8'));
-const optimalLocations = JSON.parse(fs.readFileSync('../data/optimal-locations-optimal-tracks.json', 'utf8'));
+const burdenMatrix = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'burden-matrix.json'), 'utf8'));
+const optimalLocations = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'optimal-locations-optimal-tracks.json'), 'utf8'));
 
 console.log(`Matrix has ${burdenMatrix.testPoints.length} test points\n`);
 
 // Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
+const { parseCSV } = CommuteEngine;
 
-const tracksText = fs.readFileSync('../data/Tracks-Optimized-Matrix.csv', 'utf8');
+const tracksText = fs.readFileSync(path.join(DATA_DIR, 'Tracks-Optimized-Matrix.csv'), 'utf8');
 const allTracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
+const variance = CommuteEngine.buildVariance(parseCSV(fs.readFileSync(path.join(DATA_DIR, 'Variance.csv'), 'utf8')));
 
 // Select random tracks to test
 const trackIndices = [];
@@ -76,20 +52,14 @@ console.log(`Testing ${sampleTracks.length} random tracks:\n`);
 
 // Matrix-based evaluation
 function evaluateTrackWithMatrix(track) {
-    const timeColumns = Object.keys(track).filter(k => k !== 'Current Track');
-    const rotations = timeColumns.map(col => track[col]).filter(r => r && r.trim() !== '');
-    
-    const rotationIndices = rotations.map(rot => burdenMatrix.rotations.indexOf(rot)).filter(idx => idx !== -1);
+    // One matrix column per dated block (8-week blocks span two columns)
+    const trackRotations = CommuteBurdenMatrix.getTrackRotations(burdenMatrix, track, variance);
     
     let minBurden = Infinity;
     let bestPoint = null;
     
     for (let pointIdx = 0; pointIdx < burdenMatrix.testPoints.length; pointIdx++) {
-        let totalBurden = 0;
-        
-        for (const rotIdx of rotationIndices) {
-            totalBurden += burdenMatrix.burdens[pointIdx][rotIdx];
-        }
+        const totalBurden = CommuteBurdenMatrix.sumTrackBurden(burdenMatrix.burdens[pointIdx], trackRotations);
         
         if (totalBurden < minBurden) {
             minBurden = totalBurden;
@@ -170,6 +140,7 @@ async function validateTracks() {
     } else {
         console.log('❌ VALIDATION FAILED');
         console.log('   Matrix may not be accurate enough.\n');
+        process.exitCode = 1;
     }
     
     console.log('Note: Small differences are expected because:');
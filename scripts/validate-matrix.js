@@ -7,59 +7,41 @@
  * to verify the matrix approach is accurate.
  * 
  * Tests a sample of tracks to ensure matrix lookups give similar results.
+ *
+ * Also reports the error of the page's instant estimate for homes between
+ * test points: every other grid line is held out, each interpolation method
+ * estimates the held-out points from the rest, and the estimates are compared
+ * with the stored (precise) burdens there. The held-out grid is twice as
+ * coarse as the real one, so the real error is lower.
  */
 
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteBurdenMatrix = require('../lib/burden-matrix');
+const { DATA_DIR } = require('../lib/node-data');
 
 console.log('=================================');
 console.log('Burden Matrix Validator');
 console.log('=================================\n');
 
 // Configuration
-const NSU_COORDS = { lat: 26.082, lng: -80.249 };
-const API_DELAY_MS = 200;
 const SAMPLE_SIZE = 5; // Test 5 random tracks
 
 // Load data
 console.log('Loading data files...');
 
-const burdenMatrix = JSON.parse(fs.readFileSync('../data/burden-matrix.json', 'utf8'));
-const optimalLocations = JSON.parse(fs.readFileSync('../data/optimal-locations.json', 'utf8'));
+const burdenMatrix = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'burden-matrix.json'), 'utf8'));
+const optimalLocations = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'optimal-locations.json'), 'utf8'));
 
 console.log(`Matrix has ${burdenMatrix.testPoints.length} test points\n`);
 
 // Parse CSV
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    return lines.slice(1).map(line => {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        values.push(current.trim());
-        
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h] = values[i] || '';
-        });
-        return obj;
-    });
-}
+const { parseCSV } = CommuteEngine;
 
-const tracksText = fs.readFileSync('../data/Tracks.csv', 'utf8');
+const tracksText = fs.readFileSync(path.join(DATA_DIR, 'Tracks.csv'), 'utf8');
 const allTracks = parseCSV(tracksText).filter(row => row['Current Track'] && row['Current Track'].trim() !== '');
+const variance = CommuteEngine.buildVariance(parseCSV(fs.readFileSync(path.join(DATA_DIR, 'Variance.csv'), 'utf8')));
 
 // Select random tracks to test
 const trackIndices = [];
@@ -76,20 +58,14 @@ console.log(`Testing ${sampleTracks.length} random tracks:\n`);
 
 // Matrix-based evaluation
 function evaluateTrackWithMatrix(track) {
-    const timeColumns = Object.keys(track).filter(k => k !== 'Current Track');
-    const rotations = timeColumns.map(col => track[col]).filter(r => r && r.trim() !== '');
-    
-    const rotationIndices = rotations.map(rot => burdenMatrix.rotations.indexOf(rot)).filter(idx => idx !== -1);
+    // One matrix column per dated block (8-week blocks span two columns)
+    const trackRotations = CommuteBurdenMatrix.getTrackRotations(burdenMatrix, track, variance);
     
     let minBurden = Infinity;
     let bestPoint = null;
     
     for (let pointIdx = 0; pointIdx < burdenMatrix.testPoints.length; pointIdx++) {
-        let totalBurden = 0;
-        
-        for (const rotIdx of rotationIndices) {
-            totalBurden += burdenMatrix.burdens[pointIdx][rotIdx];
-        }
+        const totalBurden = CommuteBurdenMatrix.sumTrackBurden(burdenMatrix.burdens[pointIdx], trackRotations);
         
         if (totalBurden < minBurden) {
             minBurden = totalBurden;
@@ -100,6 +76,64 @@ function evaluateTrackWithMatrix(track) {
     return { burden: minBurden, optimalPoint: bestPoint };
 }
 
+// Matrix with every other grid line of the full matrix, plus the held-out points
+function holdOutGrid() {
+    const { gridSize, bounds } = burdenMatrix.metadata;
+    const coarseSize = Math.floor(gridSize / 2);
+    const coarse = {
+        metadata: { ...burdenMatrix.metadata, gridSize: coarseSize, bounds: { ...bounds } },
+        rotations: burdenMatrix.rotations,
+        testPoints: [],
+        burdens: [],
+        miles: burdenMatrix.miles ? [] : undefined
+    };
+    const heldOut = [];
+    
+    for (let i = 0; i <= gridSize; i++) {
+        for (let j = 0; j <= gridSize; j++) {
+            const index = i * (gridSize + 1) + j;
+            if (i % 2 === 0 && j % 2 === 0) {
+                coarse.testPoints.push(burdenMatrix.testPoints[index]);
+                coarse.burdens.push(burdenMatrix.burdens[index]);
+                if (coarse.miles) coarse.miles.push(burdenMatrix.miles[index]);
+            } else if (i <= coarseSize * 2 && j <= coarseSize * 2) {
+                heldOut.push(index);
+            }
+        }
+    }
+    // Odd grid sizes lose their last line
+    coarse.metadata.bounds.maxLat = burdenMatrix.testPoints[coarseSize * 2 * (gridSize + 1)].lat;
+    coarse.metadata.bounds.maxLng = burdenMatrix.testPoints[coarseSize * 2].lng;
+    
+    return { coarse, heldOut };
+}
+
+// Mean absolute % error of each interpolation method over the held-out points
+function reportEstimateError(tracks) {
+    const { coarse, heldOut } = holdOutGrid();
+    
+    console.log(`Instant estimate error (${heldOut.length} held-out test points, ${tracks.length} tracks):`);
+    for (const method of CommuteBurdenMatrix.INTERPOLATION_METHODS) {
+        let totalError = 0;
+        let count = 0;
+        for (const pointIdx of heldOut) {
+            const point = burdenMatrix.testPoints[pointIdx];
+            const estimate = CommuteBurdenMatrix.estimateRotationBurdens(coarse, point, { method });
+            for (const track of tracks) {
+                const trackRotations = CommuteBurdenMatrix.getTrackRotations(burdenMatrix, track, variance);
+                const precise = CommuteBurdenMatrix.sumTrackBurden(burdenMatrix.burdens[pointIdx], trackRotations);
+                const estimated = CommuteBurdenMatrix.sumTrackBurden(estimate.burdens, trackRotations);
+                if (precise > 0) {
+                    totalError += Math.abs(CommuteBurdenMatrix.estimateError(estimated, precise).errorPercent);
+                    count++;
+                }
+            }
+        }
+        console.log(`  ${method.padEnd(8)} ${(count > 0 ? totalError / count : 0).toFixed(2)}%`);
+    }
+    console.log('');
+}
+
 // Compare results
 async function validateTracks() {
     console.log('Comparing matrix vs. actual optimal locations:\n');
@@ -161,6 +195,8 @@ async function validateTracks() {
     console.log(`Average difference: ${avgDiff.toFixed(2)}%`);
     console.log(`Max difference: ${maxDiff.toFixed(2)}%\n`);
     
+    reportEstimateError(sampleTracks);
+    
     if (avgDiff < 5) {
         console.log('✅ VALIDATION PASSED');
         console.log('   Matrix-based evaluation is accurate!\n');
@@ -170,6 +206,7 @@ async function validateTracks() {
     } else {
         console.log('❌ VALIDATION FAILED');
         console.log('   Matrix may not be accurate enough.\n');
+        process.exitCode = 1;
     }
     
     console.log('Note: Small differences are expected because:');
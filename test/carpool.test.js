@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteCarpool = require('../lib/carpool');
+const CommuteRouting = require('../lib/routing-providers');
+const CommuteTraffic = require('../lib/traffic');
+
+const SITE = { lat: 26.0, lng: -80.2 };
+const HOMES = {
+    A: { lat: 26.3, lng: -80.2 },   // North of the site
+    B: { lat: 26.28, lng: -80.2 },  // On A's way
+    C: { lat: 25.7, lng: -80.2 }    // South, the other side of the site
+};
+const SPEED_MPH = 30;
+
+// Rush hour doubles the evening and adds half to the morning
+const TRAFFIC = { profiles: { default: { 6: 1.5, 17: 2 } } };
+
+function datesOf(days, start, end) {
+    const dates = [];
+    for (let time = Date.parse(start); time <= Date.parse(end); time += 24 * 60 * 60 * 1000) {
+        const date = new Date(time);
+        if (days.includes(date.getUTCDay())) dates.push(date.toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+// Engine stand-in: straight-line legs at SPEED_MPH, one dated block per student
+function createEngine(siteDates) {
+    return {
+        locations: { Site: SITE },
+        variance: { 'Block @ Site': {} },
+        traffic: CommuteTraffic.createTrafficModel(TRAFFIC),
+        getRoute: async (from, to) => {
+            const distanceMiles = CommuteRouting.haversineDistance(from, to);
+            return { distanceMiles, durationHours: distanceMiles / SPEED_MPH };
+        },
+        calculateTrackCommute: async trackData => ({
+            totalHours: 0,
+            blockDetails: [{
+                block: 'Block @ Site',
+                start: '2026-01-05',
+                end: '2026-01-30',
+                scheduleDetails: [{ location: 'Site', siteDates: siteDates[trackData.student], commuteDays: siteDates[trackData.student].length }]
+            }]
+        })
+    };
+}
+
+function student(name, track) {
+    return { name, homeCoords: HOMES[name], trackData: { 'Current Track': track, student: name } };
+}
+
+const roundTrip = (from, to) => CommuteRouting.haversineDistance(from, to) / SPEED_MPH * (1.5 + 2);
+
+test('pools only the dates every member is at the site', async () => {
+    const engine = createEngine({
+        A: datesOf([1, 2, 3, 4, 5], '2026-01-05', '2026-01-30'),
+        B: datesOf([1, 3, 5], '2026-01-05', '2026-01-30')
+    });
+    const plan = await CommuteCarpool.planCarpools(engine, [student('A', 'Track 1'), student('B', 'Track 1')]);
+
+    assert.equal(plan.windows.length, 1);
+    const [group] = plan.windows[0].groups;
+    assert.deepEqual(group.members, ['A', 'B']);
+    assert.equal(group.days, 12);
+    assert.deepEqual(group.turns.map(turn => [turn.driver, turn.days]), [['A', 6], ['B', 6]]);
+    plan.people.forEach(person => assert.equal(person.pooledDays, 12));
+});
+
+test('rejects a car in which someone would drive more than alone', async () => {
+    const engine = createEngine({
+        A: datesOf([1, 2, 3, 4, 5], '2026-01-05', '2026-01-30'),
+        B: datesOf([1, 2, 3, 4, 5], '2026-01-05', '2026-01-30'),
+        C: datesOf([1, 2, 3, 4, 5], '2026-01-05', '2026-01-30')
+    });
+    const students = [student('A', 'Track 1'), student('B', 'Track 1'), student('C', 'Track 2')];
+    const plan = await CommuteCarpool.planCarpools(engine, students, { maxDetourMinutes: 600 });
+
+    const window = plan.windows[0];
+    assert.deepEqual(window.groups.map(group => group.members.sort()), [['A', 'B']]);
+    assert.deepEqual(window.solo, ['C']);
+
+    const c = plan.people.find(person => person.name === 'C');
+    assert.equal(c.pooledDays, 0);
+    assert.equal(c.drivingHoursSaved, 0);
+    plan.people.forEach(person => assert.ok(person.drivingHoursSaved >= 0, `${person.name} drives more pooled`));
+});
+
+test('scales solo and pooled trips by the same traffic factors', async () => {
+    const engine = createEngine({
+        A: datesOf([1, 3, 5], '2026-01-05', '2026-01-30'),
+        B: datesOf([1, 3, 5], '2026-01-05', '2026-01-30')
+    });
+    const plan = await CommuteCarpool.planCarpools(engine, [student('A', 'Track 1'), student('B', 'Track 1')]);
+    const [a, b] = plan.people;
+
+    // Every leg departs in the 6 AM or 5 PM hour, so each round trip costs 3.5 × its free-flow one way
+    assert.ok(Math.abs(a.soloHours - roundTrip(HOMES.A, SITE) * 12) < 1e-9);
+    assert.ok(Math.abs(b.soloHours - roundTrip(HOMES.B, SITE) * 12) < 1e-9);
+    const turnA = roundTrip(HOMES.A, HOMES.B) + roundTrip(HOMES.B, SITE);
+    assert.ok(Math.abs(a.drivingHours - turnA * 6) < 1e-9);
+    assert.ok(a.drivingHoursSaved > 0 && b.drivingHoursSaved > 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteEngine = require('../lib/commute-engine');
+const { createEngine, tracks } = require('./fixtures/engine');
+
+const HOME = { lat: 26.1, lng: -80.25 };
+
+test('parses dated track columns', () => {
+    const column = CommuteEngine.parseTrackColumn('Jan-27 (01/04/27-01/29/27)');
+    assert.equal(column.start, '2027-01-04');
+    assert.equal(column.end, '2027-01-29');
+    assert.equal(column.weeks, 4);
+    assert.equal(CommuteEngine.parseTrackColumn('Elective').start, null);
+});
+
+test('joins adjacent columns of one block into a dated block', () => {
+    const engine = createEngine();
+    const blocks = CommuteEngine.getTrackBlocks(tracks[0], engine.variance);
+    assert.deepEqual(blocks.map(block => [block.block, block.start, block.end, block.weeks]), [
+        ['Medicine @ Alpha', '2027-01-04', '2027-01-29', 4],
+        ['Surgery @ Beta', '2027-02-01', '2027-03-26', 8]
+    ]);
+});
+
+test('lists every distinct dated block across tracks', () => {
+    const engine = createEngine();
+    assert.deepEqual(CommuteEngine.getUniqueTrackBlocks(tracks, engine.variance), [
+        { block: 'Medicine @ Alpha', start: '2027-01-04', end: '2027-01-29' },
+        { block: 'Medicine @ Alpha', start: '2027-03-01', end: '2027-03-26' },
+        { block: 'Surgery @ Beta', start: '2027-01-04', end: '2027-02-26' },
+        { block: 'Surgery @ Beta', start: '2027-02-01', end: '2027-03-26' }
+    ]);
+});
+
+test('drops holidays and sends exam days to campus in a dated block', async () => {
+    const engine = createEngine();
+    const result = await engine.calculateBlockCommute('Medicine @ Alpha', HOME, false, { start: '2027-01-04', end: '2027-01-29' });
+    const [detail] = result.scheduleDetails;
+
+    assert.equal(result.commuteDays, 19);
+    assert.equal(result.daysOff, 1);
+    assert.equal(result.campusDays, 1);
+    assert.equal(detail.siteDates.length, 18);
+    assert.ok(!detail.siteDates.includes('2027-01-18'));
+    assert.ok(!detail.siteDates.includes('2027-01-29'));
+});
+
+test('counts a dated block longer than an undated one only by its weeks on the calendar', async () => {
+    const engine = createEngine();
+    const undated = await engine.calculateBlockCommute('Surgery @ Beta', HOME, false);
+    const dated = await engine.calculateBlockCommute('Surgery @ Beta', HOME, false, { start: '2027-02-01', end: '2027-03-26' });
+    assert.equal(undated.commuteDays, 40);
+    assert.equal(dated.commuteDays, 40);
+    assert.ok(Math.abs(dated.totalHours - undated.totalHours) < 1e-9);
+});
+
+test('totals a track over its blocks', async () => {
+    const engine = createEngine();
+    const result = await engine.calculateTrackCommute(tracks[0], HOME, false);
+    const blockHours = result.blockDetails.reduce((sum, block) => sum + block.totalHours, 0);
+    assert.equal(result.blockDetails.length, 2);
+    assert.ok(Math.abs(result.totalHours - blockHours) < 1e-9);
+});
+
+test('takes the site closer to home when a block offers a choice', async () => {
+    const engine = createEngine();
+    const result = await engine.calculateBlockCommute('Clinic @ Alpha or Beta', { lat: 26.19, lng: -80.2 }, false);
+    assert.deepEqual(result.scheduleDetails[0].choices, ['Alpha', 'Beta']);
+    const alpha = await engine.calculateBlockCommute('Medicine @ Alpha', { lat: 26.19, lng: -80.2 }, false);
+    assert.ok(Math.abs(result.totalHours - alpha.totalHours) < 1e-9);
+});
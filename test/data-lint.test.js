@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteDataLint = require('../lib/data-lint');
+
+const parse = text => CommuteEngine.parseCSV(text, { trim: false });
+
+test('reports problems with their file and row', () => {
+    const result = CommuteDataLint.lintData({
+        locations: parse('Locations,Coordinates\nAlpha,"26.2, -80.2"\nAlpha,"26.3, -80.2"\nBeta,north'),
+        variance: parse('Block,Locations,Within Week Changes,Within Block Changes,Block Length (wks),Wednesday Exception,TBD Weight,Shift Start,Shift End\n' +
+            'Medicine @ Alpha,Alpha,N/A,N/A,4,y,,7am,\n' +
+            'Surgery @ Gamma,Gamma,N/A,N/A,four,n,,,'),
+        tracks: parse('Current Track,Jan-27 (01/04/27-01/29/27)\nTrack A,Medicine @ Alpha\nTrack B,Pediatrics @ Alpha'),
+        calendar: parse('Date,Type,Description,Blocks\n13/01/27,holiday,Bad date,\n01/18/27,party,Unknown type,'),
+        tolls: parse('Gantry,Road,Coordinates,Direction,SunPass Rate\nMainline,Turnpike,"26.2, -80.2",Up,1.00')
+    });
+    const lines = result.errors.map(CommuteDataLint.formatIssue);
+
+    [
+        'Locations.csv row 3: Duplicate location "Alpha" (first defined on row 2)',
+        'Locations.csv row 4: Bad coordinates "north" for "Beta"',
+        'Variance.csv row 3: Unknown location "Gamma" in block "Surgery @ Gamma" (not in Locations.csv)',
+        'Variance.csv row 3: Malformed block length "four" for "Surgery @ Gamma" (expected whole weeks)',
+        'Variance.csv row 2: Malformed Shift Start "7am" for "Medicine @ Alpha" (expected HH:MM, 24-hour)',
+        'Tracks.csv row 3: Track B, Jan-27 (01/04/27-01/29/27): unknown block "Pediatrics @ Alpha" (not in Variance.csv)'
+    ].forEach(line => assert.ok(lines.includes(line), `missing: ${line}\n${lines.join('\n')}`));
+    assert.ok(result.errors.some(issue => issue.file === 'Calendar.csv' && issue.row === 2));
+    assert.ok(result.errors.some(issue => issue.file === 'Calendar.csv' && issue.row === 3));
+    assert.ok(result.errors.some(issue => issue.file === 'Tolls.csv' && /Unknown direction "Up"/.test(issue.message)));
+});
+
+test('warns about stray spaces without failing', () => {
+    const result = CommuteDataLint.lintData({
+        locations: parse('Locations,Coordinates\nAlpha ,"26.2, -80.2"'),
+        variance: [],
+        tracks: []
+    });
+    assert.equal(result.errors.length, 0);
+    assert.equal(result.warnings.length, 1);
+});
+
+test('passes the shipped data set', () => {
+    const dataDir = path.join(__dirname, '..', 'data');
+    const read = file => parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    const result = CommuteDataLint.lintData({
+        locations: read('Locations.csv'),
+        tracks: read('Tracks.csv'),
+        variance: read('Variance.csv'),
+        calendar: read('Calendar.csv'),
+        tolls: read('Tolls.csv')
+    });
+    assert.deepEqual(result.errors.map(CommuteDataLint.formatIssue), []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteRouting = require('../lib/routing-providers');
+const { fitDetourModel, scoreEstimates } = require('../lib/detour-model');
+
+const MAINLAND = { name: 'Mainland', lat: 26.0, lng: -80.2 };
+const ISLAND = { name: 'Island', lat: 25.9, lng: -80.1 };
+const homes = Array.from({ length: 30 }, (_, k) => ({ lat: 26.0 + (k + 1) * 0.01, lng: -80.25 }));
+
+// Roads 1.25 × the straight line at 40 mph; the island's roads are twice as long again
+function routesTo(site, extra) {
+    return homes.map(home => {
+        const distanceMiles = CommuteRouting.haversineDistance(home, site) * 1.25 * extra;
+        return { from: home, to: site, distanceMiles, durationHours: distanceMiles / 40 };
+    });
+}
+
+test('fits every band to uniform roads', () => {
+    const model = fitDetourModel(routesTo(MAINLAND, 1), [MAINLAND]);
+    assert.equal(model.legs, 30);
+    model.bands.forEach(band => {
+        assert.equal(band.detourFactor, 1.25);
+        assert.equal(band.speedMph, 40);
+    });
+    assert.ok(model.bands.some(band => band.borrowed));
+
+    const estimate = (from, to) => CommuteRouting.estimateDetourLeg(model, from, to);
+    const error = scoreEstimates(estimate, routesTo(MAINLAND, 1));
+    assert.ok(error.hours < 0.1 && error.miles < 0.1);
+});
+
+test('fits a site factor where routes bend more than the region', () => {
+    const routes = [...routesTo(MAINLAND, 1), ...routesTo(ISLAND, 2)];
+    const model = fitDetourModel(routes, [MAINLAND, ISLAND]);
+    const island = model.sites.find(site => site.name === 'Island');
+    const mainland = model.sites.find(site => site.name === 'Mainland');
+    assert.ok(island.distanceFactor > 1);
+    assert.ok(mainland.distanceFactor < 1);
+
+    const withSites = scoreEstimates((from, to) => CommuteRouting.estimateDetourLeg(model, from, to), routes);
+    const bandsOnly = scoreEstimates((from, to) => CommuteRouting.estimateDetourLeg({ ...model, sites: [] }, from, to), routes);
+    assert.ok(withSites.miles < bandsOnly.miles);
+});
+
+test('refuses to fit too few routes', () => {
+    assert.throws(() => fitDetourModel(routesTo(MAINLAND, 1).slice(0, 5), [MAINLAND]), /usable routes/);
+});
@@ -0,0 +1,37 @@
+// A small synthetic data set: two sites, three blocks, two dated tracks and a
+// calendar with a holiday and an exam day; legs are straight lines at 30 mph
+
+const CommuteEngine = require('../../lib/commute-engine');
+const CommuteRouting = require('../../lib/routing-providers');
+
+const LOCATIONS = `Locations,Coordinates
+Alpha,"26.2000, -80.2000"
+Beta,"26.0000, -80.3000"`;
+
+const VARIANCE = `Block,Locations,Within Week Changes,Within Block Changes,Block Length (wks),Wednesday Exception,TBD Weight,Shift Start,Shift End,Days Worked,Call
+Medicine @ Alpha,Alpha,N/A,N/A,4,y,,,,,
+Surgery @ Beta,Beta,N/A,N/A,8,y,,,,,
+Clinic @ Alpha or Beta,"Alpha, Beta",Mon-Fri: Alpha or Beta,N/A,4,y,,,,,`;
+
+const TRACKS = `Current Track,Jan-27 (01/04/27-01/29/27),Feb-27 (02/01/27-02/26/27),Mar-27 (03/01/27-03/26/27)
+Track A,Medicine @ Alpha,Surgery @ Beta,Surgery @ Beta
+Track B,Surgery @ Beta,Surgery @ Beta,Medicine @ Alpha`;
+
+const CALENDAR = `Date,Type,Description,Blocks
+01/18/27,holiday,Martin Luther King Jr. Day,
+01/29/27,exam,Shelf exam,Medicine`;
+
+function createEngine(options = {}) {
+    return CommuteEngine.createCommuteEngine({
+        locations: CommuteEngine.buildLocations(CommuteEngine.parseCSV(LOCATIONS)),
+        variance: CommuteEngine.buildVariance(CommuteEngine.parseCSV(VARIANCE)),
+        calendar: CommuteEngine.buildCalendar(CommuteEngine.parseCSV(CALENDAR)),
+        routingProvider: CommuteRouting.createHaversineProvider(),
+        logger: { warn: () => {}, error: () => {} },
+        ...options
+    });
+}
+
+const tracks = CommuteEngine.buildTracks(CommuteEngine.parseCSV(TRACKS));
+
+module.exports = { createEngine, tracks };
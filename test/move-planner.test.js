@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteMovePlanner = require('../lib/move-planner');
+const { createEngine, tracks } = require('./fixtures/engine');
+
+// A 5 × 5 grid with both sites on grid points
+const BOUNDS = { minLat: 26.0, maxLat: 26.2, minLng: -80.3, maxLng: -80.1 };
+const BETA = { lat: 26.0, lng: -80.3 };
+const near = (a, b) => Math.abs(a.lat - b.lat) < 1e-9 && Math.abs(a.lng - b.lng) < 1e-9;
+
+test('moves next to the second site for the rest of the year', async () => {
+    const plan = await CommuteMovePlanner.planMove(createEngine(), tracks[0], { gridSize: 4, bounds: BOUNDS, movingHours: 0 });
+
+    assert.equal(plan.splits.length, 1);
+    assert.equal(plan.move.split, 1);
+    assert.equal(plan.move.block, 'Surgery @ Beta');
+    assert.equal(plan.move.date, '2027-02-01');
+    assert.ok(near(plan.move.homeB, BETA));
+    assert.deepEqual(plan.move.blocks.map(block => block.home), ['A', 'B']);
+    assert.ok(Math.abs(plan.hoursSaved - (plan.stay.hours - plan.move.hours)) < 1e-9);
+    assert.equal(plan.worthMoving, true);
+});
+
+test('weighs the move itself against the hours saved', async () => {
+    const plan = await CommuteMovePlanner.planMove(createEngine(), tracks[0], { gridSize: 4, bounds: BOUNDS, movingHours: 1000 });
+    assert.equal(plan.worthMoving, false);
+    assert.ok(plan.hoursSaved < 0);
+});
+
+test('turns moving dollars into hours at the given hour value', async () => {
+    const free = await CommuteMovePlanner.planMove(createEngine(), tracks[0], { gridSize: 4, bounds: BOUNDS, movingHours: 0, movingCost: 0 });
+    const saved = free.stay.hours - free.move.hours;
+    const costly = await CommuteMovePlanner.planMove(createEngine(), tracks[0], {
+        gridSize: 4, bounds: BOUNDS, movingHours: 0, movingCost: saved * 20 * 2, hourValue: 20
+    });
+    assert.equal(free.worthMoving, true);
+    assert.equal(costly.worthMoving, false);
+});
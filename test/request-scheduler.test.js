@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteScheduler = require('../lib/request-scheduler');
+
+test('parses Retry-After in seconds', () => {
+    assert.equal(CommuteScheduler.parseRetryAfter('2'), 2000);
+    assert.equal(CommuteScheduler.parseRetryAfter(''), null);
+    assert.equal(CommuteScheduler.parseRetryAfter('soon'), null);
+});
+
+test('retries only rate limits and server errors', () => {
+    assert.equal(CommuteScheduler.isRetryable(CommuteScheduler.createHttpError(429, 'x')), true);
+    assert.equal(CommuteScheduler.isRetryable(CommuteScheduler.createHttpError(503, 'x')), true);
+    assert.equal(CommuteScheduler.isRetryable(CommuteScheduler.createHttpError(400, 'x')), false);
+    assert.equal(CommuteScheduler.isRetryable(new Error('no route')), false);
+});
+
+test('shares one request between callers with the same key', async () => {
+    const scheduler = CommuteScheduler.createScheduler();
+    let calls = 0;
+    const task = () => new Promise(resolve => setTimeout(() => resolve(++calls), 5));
+
+    const results = await Promise.all([
+        scheduler.schedule('svc', 'leg', task),
+        scheduler.schedule('svc', 'leg', task),
+        scheduler.schedule('svc', null, task)
+    ]);
+    assert.deepEqual(results, [1, 1, 2]);
+    assert.equal(scheduler.stats('svc').shared, 1);
+});
+
+test('keeps no more requests in flight than the concurrency limit', async () => {
+    const scheduler = CommuteScheduler.createScheduler({ svc: { concurrency: 2 } });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule('svc', null, task)));
+    assert.equal(peak, 2);
+});
+
+test('retries a server error, then gives up', async () => {
+    const scheduler = CommuteScheduler.createScheduler({ svc: { retries: 2, backoffMs: 1, maxBackoffMs: 1 } });
+    let attempts = 0;
+    const flaky = async () => {
+        attempts++;
+        if (attempts < 2) throw CommuteScheduler.createHttpError(503, 'x');
+        return 'ok';
+    };
+    assert.equal(await scheduler.schedule('svc', null, flaky), 'ok');
+    assert.equal(attempts, 2);
+
+    const failing = async () => { throw CommuteScheduler.createHttpError(500, 'x'); };
+    await assert.rejects(scheduler.schedule('svc', null, failing), { status: 500 });
+    assert.equal(scheduler.stats('svc').failures, 1);
+});
+
+test('drops a queued request whose signal is aborted', async () => {
+    const scheduler = CommuteScheduler.createScheduler({ svc: { concurrency: 1 } });
+    const controller = new AbortController();
+    const first = scheduler.schedule('svc', null, () => new Promise(resolve => setTimeout(resolve, 5)));
+    const second = scheduler.schedule('svc', null, async () => 'sent', { signal: controller.signal });
+    controller.abort();
+
+    await first;
+    await assert.rejects(second, { name: 'AbortError' });
+});
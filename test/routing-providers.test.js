@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteRouting = require('../lib/routing-providers');
+
+// Table provider stand-in: legs of 1 mile per index step, every request recorded
+function createTableProvider(maxTableSize) {
+    const requests = [];
+    return {
+        name: 'table',
+        maxTableSize,
+        requestDelayMs: 0,
+        requests,
+        async table(coords) {
+            requests.push(coords.length);
+            const matrix = coords.map(from => coords.map(to => Math.abs(from.lat - to.lat) * 100));
+            return { distancesMiles: matrix, durationsHours: matrix.map(row => row.map(miles => miles / 30)) };
+        },
+        async route() {
+            throw new Error('route() should not be asked for table legs');
+        }
+    };
+}
+
+const point = i => ({ lat: 26 + i / 100, lng: -80.2 });
+
+test('builds a leg table without home-to-home legs, in requests no larger than maxTableSize', async () => {
+    const provider = createTableProvider(5);
+    const points = [point(0), point(1), point(2), point(3)];
+    const sites = [point(10), point(11)];
+    const legs = await CommuteRouting.buildLegTable(provider, points, sites);
+
+    assert.ok(provider.requests.every(size => size <= 5));
+    const leg = legs[CommuteRouting.fixtureKey(points[0], sites[1])];
+    assert.ok(Math.abs(leg.distanceMiles - 11) < 1e-9 && Math.abs(leg.durationHours - 11 / 30) < 1e-9);
+    assert.ok(legs[CommuteRouting.fixtureKey(sites[0], sites[1])]);
+    assert.equal(legs[CommuteRouting.fixtureKey(points[0], points[1])], undefined);
+});
+
+test('splits site lists that leave no room for points', async () => {
+    const provider = createTableProvider(4);
+    const sites = [point(10), point(11), point(12), point(13), point(14)];
+    const legs = await CommuteRouting.buildLegTable(provider, [point(0)], sites);
+
+    assert.ok(provider.requests.every(size => size <= 4));
+    sites.forEach(from => sites.forEach(to => {
+        if (from !== to) assert.ok(legs[CommuteRouting.fixtureKey(from, to)], 'site-to-site leg missing');
+    }));
+});
+
+test('rejects providers too small for a table request', async () => {
+    await assert.rejects(CommuteRouting.buildLegTable(createTableProvider(1), [point(0)], [point(1)]), /too small/);
+});
+
+test('answers legs from the table and the wrapped provider', async () => {
+    const legs = { [CommuteRouting.fixtureKey(point(0), point(1))]: { distanceMiles: 2, durationHours: 0.1 } };
+    const provider = CommuteRouting.createLegTableProvider(CommuteRouting.createHaversineProvider(), legs);
+
+    assert.deepEqual(await provider.route(point(0), point(1)), { distanceMiles: 2, durationHours: 0.1 });
+    const missing = await provider.route(point(1), point(0));
+    assert.ok(Math.abs(missing.distanceMiles - CommuteRouting.haversineDistance(point(1), point(0))) < 1e-9);
+});
+
+test('estimates legs from a fitted detour model', () => {
+    const model = {
+        bands: [{ maxMiles: 5, detourFactor: 1.5, speedMph: 20 }, { maxMiles: null, detourFactor: 1.2, speedMph: 40 }],
+        sites: [{ lat: point(10).lat, lng: point(10).lng, distanceFactor: 1.1, timeFactor: 2 }]
+    };
+    const straight = CommuteRouting.haversineDistance(point(0), point(10));
+    const leg = CommuteRouting.estimateDetourLeg(model, point(0), point(10));
+
+    assert.ok(Math.abs(leg.distanceMiles - straight * 1.2 * 1.1) < 1e-9);
+    assert.ok(Math.abs(leg.durationHours - straight * 1.2 / 40 * 2) < 1e-9);
+});
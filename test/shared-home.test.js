@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteSharedHome = require('../lib/shared-home');
+const { createEngine } = require('./fixtures/engine');
+
+// A 5 × 5 grid whose middle column runs from one job to the other
+const BOUNDS = { minLat: 26.0, maxLat: 26.2, minLng: -80.3, maxLng: -80.1 };
+const SOUTH_JOB = { lat: 26.0, lng: -80.2 };
+const NORTH_JOB = { lat: 26.2, lng: -80.2 };
+const people = [
+    { name: 'South', destination: SOUTH_JOB, daysPerWeek: 5, weeks: 48 },
+    { name: 'North', destination: NORTH_JOB, daysPerWeek: 5, weeks: 48 }
+];
+const near = (a, b) => Math.abs(a.lat - b.lat) < 1e-9 && Math.abs(a.lng - b.lng) < 1e-9;
+
+test('scores weighted hours by objective', () => {
+    assert.equal(CommuteSharedHome.scoreHours([100, 300], [1, 1], 'sum'), 400);
+    assert.equal(CommuteSharedHome.scoreHours([100, 300], [2, 1], 'max'), 300);
+    assert.equal(CommuteSharedHome.scoreHours([100, 300], [1, 1], 'blend', 0.5), 0.5 * 400 + 0.5 * 2 * 300);
+});
+
+test('keeps only points no other point beats for everyone', () => {
+    const frontier = CommuteSharedHome.getFrontier([{ hours: [1, 5] }, { hours: [2, 2] }, { hours: [3, 3] }, { hours: [5, 1] }]);
+    assert.deepEqual(frontier.map(point => point.hours), [[1, 5], [2, 2], [5, 1]]);
+});
+
+test('moves toward the heavier-weighted person with the sum objective', async () => {
+    const weighted = [{ ...people[0], weight: 2 }, people[1]];
+    const result = await CommuteSharedHome.findSharedHome(createEngine(), weighted, { gridSize: 4, bounds: BOUNDS });
+    assert.ok(near(result.best.coords, SOUTH_JOB));
+    assert.deepEqual(result.best.burdens.map(burden => burden.name), ['South', 'North']);
+    assert.ok(result.best.burdens[0].hours < 1e-6);
+});
+
+test('meets in the middle with the max objective', async () => {
+    const result = await CommuteSharedHome.findSharedHome(createEngine(), people, { objective: 'max', gridSize: 4, bounds: BOUNDS });
+    assert.ok(near(result.best.coords, { lat: 26.1, lng: -80.2 }));
+    assert.ok(result.frontier.every(point => Math.abs(point.coords.lng - -80.2) < 1e-9));
+});
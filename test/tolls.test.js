@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteTolls = require('../lib/tolls');
+
+const gantries = CommuteTolls.buildGantries([
+    { Gantry: 'Northbound Only', Road: 'Turnpike', Coordinates: '"26.1000, -80.2000"', Direction: 'NB', 'SunPass Rate': '1.25' },
+    { Gantry: 'Both Ways', Road: 'Turnpike', Coordinates: '26.2000, -80.2000', Direction: '', 'SunPass Rate': '0.75' },
+    { Gantry: 'Off The Road', Road: 'Sawgrass', Coordinates: '26.1500, -80.3000', Direction: 'Both', 'SunPass Rate': '2.00' },
+    { Gantry: 'Bad Rate', Road: 'Turnpike', Coordinates: '26.1500, -80.2000', Direction: 'NB', 'SunPass Rate': 'free' },
+    { Gantry: 'Bad Direction', Road: 'Turnpike', Coordinates: '26.1500, -80.2000', Direction: 'Up', 'SunPass Rate': '1' }
+]);
+const tolls = CommuteTolls.createTollModel(gantries);
+
+// A straight road along -80.2 from 26.05 to 26.25
+const northbound = [{ lat: 26.05, lng: -80.2 }, { lat: 26.15, lng: -80.2 }, { lat: 26.25, lng: -80.2 }];
+const southbound = [...northbound].reverse();
+
+test('skips gantry rows with a bad rate or direction', () => {
+    assert.deepEqual(gantries.map(gantry => gantry.name), ['Northbound Only', 'Both Ways', 'Off The Road']);
+    assert.equal(gantries[1].direction, 'BOTH');
+});
+
+test('charges gantries on the route heading their direction', () => {
+    assert.deepEqual(tolls.getLegTolls(northbound), { cost: 2, gantries: ['Northbound Only', 'Both Ways'] });
+    assert.deepEqual(tolls.getLegTolls(southbound), { cost: 0.75, gantries: ['Both Ways'] });
+});
+
+test('charges nothing without geometry', () => {
+    assert.deepEqual(tolls.getLegTolls(null), { cost: 0, gantries: [] });
+    assert.equal(CommuteTolls.createTollModel().enabled, false);
+});
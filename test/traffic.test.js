@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommuteTraffic = require('../lib/traffic');
+
+const BROWARD = { lat: 26.1, lng: -80.2 };
+const FORT_LAUDERDALE = { lat: 26.12, lng: -80.14 };
+const MIAMI = { lat: 25.78, lng: -80.2 };
+
+const traffic = CommuteTraffic.createTrafficModel({
+    defaultShift: { start: '07:00', end: '17:00' },
+    profiles: {
+        default: { 7: 1.4, 17: 1.5 },
+        countyLine: { 7: 1.8 },
+        weekend: { 12: 1.1 }
+    },
+    corridors: [{ name: 'Broward ↔ Miami-Dade', profile: 'countyLine', crossesLat: 25.957 }]
+});
+
+test('scales legs by the multiplier of their departure hour', () => {
+    assert.equal(traffic.factor(BROWARD, FORT_LAUDERDALE, 7.5, 'Mon'), 1.4);
+    assert.equal(traffic.factor(BROWARD, FORT_LAUDERDALE, 17, 'Tue'), 1.5);
+    assert.equal(traffic.factor(BROWARD, FORT_LAUDERDALE, 12, 'Wed'), 1);
+    assert.equal(traffic.factor(BROWARD, FORT_LAUDERDALE, 7), 1.4);
+});
+
+test('uses the corridor a leg crosses', () => {
+    assert.equal(traffic.getCorridor(BROWARD, MIAMI).name, 'Broward ↔ Miami-Dade');
+    assert.equal(traffic.factor(BROWARD, MIAMI, 7, 'Mon'), 1.8);
+    assert.equal(traffic.factor(MIAMI, BROWARD, 17, 'Mon'), 1);
+});
+
+test('uses the weekend profile on Saturday and Sunday', () => {
+    assert.equal(traffic.factor(BROWARD, MIAMI, 7, 'Sat'), 1);
+    assert.equal(traffic.factor(BROWARD, FORT_LAUDERDALE, 12, 'Sun'), 1.1);
+});
+
+test('reads block shifts, falling back to the default shift', () => {
+    assert.deepEqual(traffic.getShift({ 'Shift Start': '06:30', 'Shift End': '15:00' }), { start: 6.5, end: 15 });
+    assert.deepEqual(traffic.getShift({}), { start: 7, end: 17 });
+});
+
+test('is free flow without profiles or when disabled', () => {
+    assert.equal(CommuteTraffic.createTrafficModel().factor(BROWARD, MIAMI, 7, 'Mon'), 1);
+    const disabled = CommuteTraffic.createTrafficModel({ enabled: false, profiles: { default: { 7: 2 } } });
+    assert.equal(disabled.factor(BROWARD, MIAMI, 7, 'Mon'), 1);
+});
+
+test('rejects corridors with an unknown profile', () => {
+    assert.throws(() => CommuteTraffic.createTrafficModel({ profiles: {}, corridors: [{ name: 'X', profile: 'nope' }] }), /unknown profile/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CommuteEngine = require('../lib/commute-engine');
+const CommuteRouting = require('../lib/routing-providers');
+const CommuteTransit = require('../lib/transit');
+
+// A made-up three-station rail line (test/fixtures/gtfs/sample-rail): two trains
+// each way on weekdays, fares by zone
+function loadFeed(name) {
+    const dir = path.join(__dirname, 'fixtures', 'gtfs', name);
+    const feed = { name };
+    CommuteTransit.GTFS_FILES.forEach(file => {
+        const filePath = path.join(dir, `${file}.txt`);
+        feed[file] = fs.existsSync(filePath) ? CommuteEngine.parseCSV(fs.readFileSync(filePath, 'utf8')) : [];
+    });
+    return feed;
+}
+
+const HOME = { lat: 26.302, lng: -80.121 };  // A short walk from North Station
+const SITE = { lat: 26.002, lng: -80.171 };  // A short walk from South Station
+const NORTH_STATION = { lat: 26.3, lng: -80.12 };
+// Street distance is 1.3 × straight line, walked at 3 mph
+const walk = (from, to) => CommuteRouting.haversineDistance(from, to) * 1.3 / 3;
+const drive = async (from, to) => {
+    const distanceMiles = CommuteRouting.haversineDistance(from, to);
+    return { durationHours: distanceMiles / 30, freeFlowHours: distanceMiles / 30, distanceMiles };
+};
+const planner = CommuteTransit.createTransitPlanner([loadFeed('sample-rail')], { enabled: true });
+
+test('loads the feed', () => {
+    assert.equal(planner.enabled, true);
+    assert.equal(planner.stopCount, 3);
+    assert.equal(planner.stationCount, 3);
+});
+
+test('plans a morning trip on the last train arriving by the shift start', async () => {
+    const trip = await planner.planTrip(HOME, SITE, { mode: 'transit', day: 'Mon', arriveBy: 7, drive });
+
+    assert.equal(trip.route, 'Sample Rail');
+    assert.equal(trip.boardStop, 'North Station');
+    assert.equal(trip.alightStop, 'South Station');
+    assert.ok(Math.abs(trip.rideHours - 50 / 60) < 1e-9);
+    assert.equal(trip.studyHours, trip.rideHours);
+    assert.equal(trip.fare, 3.75);
+    // The 06:30 train arrives at 07:20, so the trip leaves home for the 05:30 one
+    assert.ok(Math.abs(trip.hours - (7 - (5.5 - walk(HOME, NORTH_STATION)))) < 1e-9);
+});
+
+test('plans an evening trip on the first train after the shift end', async () => {
+    const trip = await planner.planTrip(SITE, HOME, { mode: 'transit', day: 'Mon', departAt: 17, drive });
+
+    assert.equal(trip.boardStop, 'South Station');
+    assert.equal(trip.alightStop, 'North Station');
+    assert.ok(Math.abs(trip.hours - (18 + 5 / 60 + walk(NORTH_STATION, HOME) - 17)) < 1e-9);
+    assert.equal(trip.fare, 3.75);
+});
+
+test('finds no ride on days without service', async () => {
+    assert.equal(await planner.planTrip(HOME, SITE, { mode: 'transit', day: 'Sat', arriveBy: 7, drive }), null);
+});
+
+test('drives to a station for park-and-ride', async () => {
+    const farHome = { lat: 26.35, lng: -80.10 };
+    assert.equal(await planner.planTrip(farHome, SITE, { mode: 'transit', day: 'Mon', arriveBy: 7, drive }), null);
+
+    const trip = await planner.planTrip(farHome, SITE, { mode: 'park-ride', day: 'Mon', arriveBy: 7, drive });
+    assert.equal(trip.mode, 'park-ride');
+    assert.ok(trip.driveHours > 0);
+    assert.ok(trip.driveMiles > 0);
+    assert.equal(trip.alightStop, 'South Station');
+    assert.equal(trip.fareKnown, true);
+});